@@ -11,31 +11,225 @@ CREATE TABLE users (
                        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create categories table (each user's own goal categories)
+CREATE TABLE categories (
+                       id INT AUTO_INCREMENT PRIMARY KEY,
+                       user_id INT NOT NULL,
+                       name VARCHAR(50) NOT NULL,
+                       color VARCHAR(7) DEFAULT '#6c757d',
+                       icon VARCHAR(30) DEFAULT 'folder',
+                       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                       UNIQUE KEY (user_id, name),
+                       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
 -- Create goals table
 CREATE TABLE goals (
                        id INT AUTO_INCREMENT PRIMARY KEY,
                        user_id INT NOT NULL,
                        title VARCHAR(100) NOT NULL,
                        description TEXT,
-                       category VARCHAR(50),
+                       category_id INT,
                        priority ENUM('Low', 'Medium', 'High') DEFAULT 'Medium',
-                       status ENUM('Pending', 'Completed') DEFAULT 'Pending',
+                       status ENUM('Pending', 'In Progress', 'Blocked', 'Completed', 'Cancelled') DEFAULT 'Pending',
+                       status_changed_at TIMESTAMP NULL,
+                       started_at TIMESTAMP NULL,
+                       completed_at TIMESTAMP NULL,
                        deadline DATE,
                        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                        estimated_pomodoros INT DEFAULT '1',
+                       recurrence ENUM('None', 'Daily', 'Weekdays', 'Weekly', 'Interval') DEFAULT 'None',
+                       recurrence_days VARCHAR(20),
+                       recurrence_interval INT,
+                       series_id INT,
+                       archived_at TIMESTAMP NULL,
+                       deleted_at TIMESTAMP NULL,
+                       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                       FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE SET NULL
+);
+
+-- Create tags table (free-form labels, a goal can have several)
+CREATE TABLE tags (
+                       id INT AUTO_INCREMENT PRIMARY KEY,
+                       user_id INT NOT NULL,
+                       name VARCHAR(30) NOT NULL,
+                       UNIQUE KEY (user_id, name),
                        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
+-- Create goal_tags table (links goals to their tags)
+CREATE TABLE goal_tags (
+                       goal_id INT NOT NULL,
+                       tag_id INT NOT NULL,
+                       PRIMARY KEY (goal_id, tag_id),
+                       FOREIGN KEY (goal_id) REFERENCES goals(id) ON DELETE CASCADE,
+                       FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+);
+
+-- Create goal_dependencies table (a goal is blocked until the goals it depends on are done)
+CREATE TABLE goal_dependencies (
+                       goal_id INT NOT NULL,
+                       depends_on_id INT NOT NULL,
+                       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                       PRIMARY KEY (goal_id, depends_on_id),
+                       FOREIGN KEY (goal_id) REFERENCES goals(id) ON DELETE CASCADE,
+                       FOREIGN KEY (depends_on_id) REFERENCES goals(id) ON DELETE CASCADE
+);
+
+-- Create goal_events table (history of changes to a goal's fields)
+CREATE TABLE goal_events (
+                       id INT AUTO_INCREMENT PRIMARY KEY,
+                       goal_id INT NOT NULL,
+                       user_id INT NOT NULL,
+                       field VARCHAR(50) NOT NULL,
+                       old_value TEXT,
+                       new_value TEXT,
+                       source ENUM('Edit', 'Status Update', 'Pomodoro', 'Timer', 'Dependency') NOT NULL,
+                       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                       INDEX (goal_id, created_at),
+                       FOREIGN KEY (goal_id) REFERENCES goals(id) ON DELETE CASCADE,
+                       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create goal_items table (checklist of subtasks under a goal)
+CREATE TABLE goal_items (
+                       id INT AUTO_INCREMENT PRIMARY KEY,
+                       goal_id INT NOT NULL,
+                       title VARCHAR(255) NOT NULL,
+                       completed BOOLEAN DEFAULT FALSE,
+                       position INT DEFAULT 0,
+                       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                       FOREIGN KEY (goal_id) REFERENCES goals(id) ON DELETE CASCADE
+);
+
 -- Create pomodoro_sessions table
 CREATE TABLE pomodoro_sessions (
                        id INT AUTO_INCREMENT PRIMARY KEY,
                        user_id INT NOT NULL,
                        goal_id INT,
+                       goal_item_id INT,
                        start_time TIMESTAMP NOT NULL,
                        end_time TIMESTAMP,
                        completed BOOLEAN DEFAULT FALSE,
                        pomodoro_number INT DEFAULT 1,
                        total_pomodoros INT DEFAULT 1,
+                       phase_type ENUM('Work', 'Break', 'Long Break') DEFAULT 'Work',
+                       mode ENUM('Pomodoro', 'Flow') DEFAULT 'Pomodoro',
+                       source ENUM('Timer', 'Manual') DEFAULT 'Timer',
+                       elapsed_seconds INT,
+                       interruption_reason VARCHAR(100),
+                       reflection_note VARCHAR(500),
+                       focus_rating TINYINT,
+                       distraction_count INT,
+                       client_id VARCHAR(36),
+                       UNIQUE KEY (user_id, client_id),
+                       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                       FOREIGN KEY (goal_id) REFERENCES goals(id) ON DELETE SET NULL,
+                       FOREIGN KEY (goal_item_id) REFERENCES goal_items(id) ON DELETE SET NULL
+);
+
+-- Create active_timers table (one running or paused timer per user)
+CREATE TABLE active_timers (
+                       user_id INT PRIMARY KEY,
+                       goal_id INT,
+                       goal_item_id INT,
+                       phase ENUM('Work', 'Break', 'Long Break') DEFAULT 'Work',
+                       mode ENUM('Pomodoro', 'Flow') DEFAULT 'Pomodoro',
+                       status ENUM('Running', 'Paused') DEFAULT 'Running',
+                       pomodoro_count INT DEFAULT 0,
+                       total_pomodoros INT DEFAULT 1,
+                       work_minutes INT DEFAULT 25,
+                       break_minutes INT DEFAULT 5,
+                       long_break_minutes INT DEFAULT 15,
+                       long_break_interval INT DEFAULT 4,
+                       phase_seconds INT,
+                       phase_started_at TIMESTAMP NULL,
+                       ends_at TIMESTAMP NULL,
+                       remaining_seconds INT,
+                       session_client_id VARCHAR(36),
+                       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                       FOREIGN KEY (goal_id) REFERENCES goals(id) ON DELETE SET NULL,
+                       FOREIGN KEY (goal_item_id) REFERENCES goal_items(id) ON DELETE SET NULL
+);
+
+-- Create user_settings table (timer preferences, defaults used when no row exists)
+CREATE TABLE user_settings (
+                       user_id INT PRIMARY KEY,
+                       work_minutes INT DEFAULT 25,
+                       break_minutes INT DEFAULT 5,
+                       long_break_minutes INT DEFAULT 15,
+                       long_break_interval INT DEFAULT 4,
+                       auto_start_breaks BOOLEAN DEFAULT TRUE,
+                       auto_start_pomodoros BOOLEAN DEFAULT TRUE,
+                       work_end_sound VARCHAR(20) DEFAULT 'bell',
+                       break_end_sound VARCHAR(20) DEFAULT 'chime',
+                       goal_complete_sound VARCHAR(20) DEFAULT 'fanfare',
+                       notifications_enabled BOOLEAN DEFAULT FALSE,
+                       wip_limit_pending INT,
+                       wip_limit_in_progress INT DEFAULT 3,
+                       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create session_interruptions table (interruptions logged while a work session runs,
+-- linked to the session through the client id it is recorded with)
+CREATE TABLE session_interruptions (
+                       id INT AUTO_INCREMENT PRIMARY KEY,
+                       user_id INT NOT NULL,
+                       session_client_id VARCHAR(36),
+                       goal_id INT,
+                       type ENUM('Internal', 'External') NOT NULL,
+                       note VARCHAR(255),
+                       logged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                       client_id VARCHAR(36),
+                       UNIQUE KEY (user_id, client_id),
+                       INDEX (user_id, session_client_id),
                        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
                        FOREIGN KEY (goal_id) REFERENCES goals(id) ON DELETE SET NULL
-);
\ No newline at end of file
+);
+
+-- ---------------------------------------------------------------------------
+-- Upgrading an existing database
+-- Run the statements below once on a database created from an older version of
+-- this file, after adding the new tables and columns above.
+-- ---------------------------------------------------------------------------
+
+-- Sessions gained their phase, mode, reflection and retry fields. Without them,
+-- sessions are saved without a phase or mode and retried posts are stored twice.
+-- ALTER TABLE pomodoro_sessions
+--     ADD COLUMN goal_item_id INT AFTER goal_id,
+--     ADD COLUMN phase_type ENUM('Work', 'Break', 'Long Break') DEFAULT 'Work',
+--     ADD COLUMN mode ENUM('Pomodoro', 'Flow') DEFAULT 'Pomodoro',
+--     ADD COLUMN source ENUM('Timer', 'Manual') DEFAULT 'Timer',
+--     ADD COLUMN elapsed_seconds INT,
+--     ADD COLUMN interruption_reason VARCHAR(100),
+--     ADD COLUMN reflection_note VARCHAR(500),
+--     ADD COLUMN focus_rating TINYINT,
+--     ADD COLUMN distraction_count INT,
+--     ADD COLUMN client_id VARCHAR(36),
+--     ADD UNIQUE KEY (user_id, client_id),
+--     ADD FOREIGN KEY (goal_item_id) REFERENCES goal_items(id) ON DELETE SET NULL;
+
+-- Goals used to keep their category as free text in goals.category. Give every
+-- existing user the default categories and one for each other category their
+-- goals used, link the goals to them, then drop the old column.
+-- INSERT IGNORE INTO categories (user_id, name, color, icon)
+--     SELECT u.id, d.name, d.color, d.icon FROM users u
+--     CROSS JOIN (
+--         SELECT 'Work' as name, '#36a2eb' as color, 'briefcase' as icon
+--         UNION ALL SELECT 'Study', '#4bc0c0', 'graduation-cap'
+--         UNION ALL SELECT 'Other', '#c9cbcf', 'folder'
+--     ) d;
+-- INSERT IGNORE INTO categories (user_id, name)
+--     SELECT DISTINCT user_id, TRIM(category) FROM goals
+--     WHERE category IS NOT NULL AND TRIM(category) != '';
+-- UPDATE goals g
+--     JOIN categories c ON c.user_id = g.user_id AND c.name = TRIM(g.category)
+--     SET g.category_id = c.id
+--     WHERE g.category_id IS NULL;
+-- ALTER TABLE goals DROP COLUMN category;
+
+-- Goals completed before completed_at was added have no completion time. Use the
+-- time their status last changed, or failing that when they were created.
+-- UPDATE goals SET completed_at = COALESCE(status_changed_at, created_at)
+--     WHERE status = 'Completed' AND completed_at IS NULL;
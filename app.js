@@ -6,6 +6,7 @@ const flash = require('connect-flash');
 const methodOverride = require('method-override');
 const path = require('path');
 require('dotenv').config();
+const Goal = require('./models/Goal');
 
 // Initialize Express app
 const app = express();
@@ -53,6 +54,9 @@ app.use('/', require('./routes/index'));
 app.use('/auth', require('./routes/auth'));
 app.use('/goals', require('./routes/goals'));
 app.use('/analytics-data', require('./routes/analytics'));
+app.use('/settings', require('./routes/settings'));
+app.use('/sessions', require('./routes/sessions'));
+app.use('/categories', require('./routes/categories'));
 
 // Error handling
 app.use((req, res) => {
@@ -74,4 +78,15 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Empty goals out of the trash once their retention period is over, checking hourly
+const purgeTrash = () => {
+    Goal.purgeTrash()
+        .then(count => {
+            if (count > 0) console.log(`Purged ${count} goals from the trash`);
+        })
+        .catch(err => console.error('Error purging trash:', err));
+};
+purgeTrash();
+setInterval(purgeTrash, 60 * 60 * 1000);
\ No newline at end of file
@@ -1,30 +1,159 @@
 // controllers/analyticsController.js
 const pool = require('../config/db');
 const moment = require('moment');
+const Goal = require('../models/Goal');
+
+// Months of completed goals compared in the estimation accuracy chart
+const ESTIMATION_MONTHS = 6;
+
+// Compare estimated and actual Pomodoros of completed goals per category, overall and
+// by the month each goal was completed. The error is how far the work done was over
+// (positive) or under (negative) the estimate, as a percentage of the estimate.
+const summarizeEstimates = (goals) => {
+    const months = [];
+    for (let i = ESTIMATION_MONTHS - 1; i >= 0; i--) {
+        months.push(moment().subtract(i, 'months').format('YYYY-MM'));
+    }
+
+    const categories = {};
+    goals.forEach(goal => {
+        const estimated = goal.estimated_pomodoros || 1;
+        const error = ((goal.actual - estimated) / estimated) * 100;
+        const entry = categories[goal.category] || (categories[goal.category] = {
+            category: goal.category,
+            color: goal.color,
+            goals: 0,
+            estimated: 0,
+            actual: 0,
+            errors: [],
+            byMonth: months.map(() => [])
+        });
+
+        entry.goals++;
+        entry.estimated += estimated;
+        entry.actual += goal.actual;
+        entry.errors.push(error);
+
+        const monthIndex = months.indexOf(goal.month);
+        if (monthIndex !== -1) entry.byMonth[monthIndex].push(error);
+    });
+
+    const average = values => values.length > 0
+        ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+        : null;
+
+    return {
+        months: months.map(month => moment(month, 'YYYY-MM').format('MMM YYYY')),
+        categories: Object.values(categories).map(entry => ({
+            category: entry.category,
+            color: entry.color,
+            goals: entry.goals,
+            avgEstimated: Math.round((entry.estimated / entry.goals) * 10) / 10,
+            avgActual: Math.round((entry.actual / entry.goals) * 10) / 10,
+            error: average(entry.errors),
+            byMonth: entry.byMonth.map(average)
+        }))
+    };
+};
 
 // Get analytics data
 exports.getAnalytics = async (req, res) => {
     try {
         // Get goal statistics
         const [statusCounts] = await pool.query(
-            'SELECT status, COUNT(*) as count FROM goals WHERE user_id = ? GROUP BY status',
+            'SELECT status, COUNT(*) as count FROM goals WHERE user_id = ? AND deleted_at IS NULL GROUP BY status',
             [req.user.id]
         );
 
         // Get Pomodoro statistics
         const [totalSessions] = await pool.query(
-            'SELECT COUNT(*) as count FROM pomodoro_sessions WHERE user_id = ? AND completed = true',
+            'SELECT COUNT(*) as count FROM pomodoro_sessions WHERE user_id = ? AND completed = true AND phase_type = "Work"',
             [req.user.id]
         );
 
         const [totalFocusTime] = await pool.query(
-            'SELECT SUM(TIMESTAMPDIFF(SECOND, start_time, end_time)) as seconds FROM pomodoro_sessions WHERE user_id = ? AND completed = true',
+            'SELECT SUM(TIMESTAMPDIFF(SECOND, start_time, end_time)) as seconds FROM pomodoro_sessions WHERE user_id = ? AND completed = true AND phase_type = "Work"',
+            [req.user.id]
+        );
+
+        // Get time spent in each phase (work, short break, long break)
+        const [phaseTotals] = await pool.query(
+            `SELECT 
+                phase_type,
+                SUM(TIMESTAMPDIFF(SECOND, start_time, end_time)) as seconds
+            FROM pomodoro_sessions 
+            WHERE user_id = ? AND completed = true
+            GROUP BY phase_type`,
+            [req.user.id]
+        );
+
+        // Get focus time in fixed Pomodoros and open-ended flow blocks
+        const [modeTotals] = await pool.query(
+            `SELECT 
+                mode,
+                SUM(TIMESTAMPDIFF(SECOND, start_time, end_time)) as seconds
+            FROM pomodoro_sessions 
+            WHERE user_id = ? AND completed = true AND phase_type = 'Work'
+            GROUP BY mode`,
+            [req.user.id]
+        );
+
+        // Get average focus rating by hour of day from session reflections
+        const [focusRatings] = await pool.query(
+            `SELECT 
+                HOUR(start_time) as hour_of_day,
+                AVG(focus_rating) as avg_rating,
+                AVG(distraction_count) as avg_distractions,
+                COUNT(*) as session_count
+            FROM pomodoro_sessions 
+            WHERE user_id = ? AND phase_type = 'Work' AND focus_rating IS NOT NULL
+            GROUP BY HOUR(start_time)
+            ORDER BY hour_of_day`,
+            [req.user.id]
+        );
+
+        // Get interruptions logged in the last 30 days by hour of day and type
+        const [interruptionsByHour] = await pool.query(
+            `SELECT 
+                HOUR(logged_at) as hour_of_day,
+                type,
+                COUNT(*) as count
+            FROM session_interruptions 
+            WHERE user_id = ? AND logged_at >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)
+            GROUP BY HOUR(logged_at), type`,
+            [req.user.id]
+        );
+
+        // Get the most common interruption causes in the last 30 days
+        const [interruptionCauses] = await pool.query(
+            `SELECT 
+                MIN(note) as cause,
+                COUNT(*) as count
+            FROM session_interruptions 
+            WHERE user_id = ? AND logged_at >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)
+                AND note IS NOT NULL AND TRIM(note) != ''
+            GROUP BY LOWER(TRIM(note))
+            ORDER BY count DESC
+            LIMIT 5`,
+            [req.user.id]
+        );
+
+        // Get focus time in the same period to work out interruptions per hour of focus
+        const [recentFocusTime] = await pool.query(
+            `SELECT SUM(TIMESTAMPDIFF(SECOND, start_time, end_time)) as seconds
+            FROM pomodoro_sessions 
+            WHERE user_id = ? AND phase_type = 'Work' AND start_time >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)`,
             [req.user.id]
         );
 
-        // Get category distribution
+        // Get category distribution, with the colour the user chose for each category
         const [categoryData] = await pool.query(
-            'SELECT COALESCE(category, "Uncategorized") as category, COUNT(*) as count FROM goals WHERE user_id = ? GROUP BY category',
+            `SELECT COALESCE(c.name, "Uncategorized") as category, c.color, COUNT(*) as count
+            FROM goals g
+            LEFT JOIN categories c ON g.category_id = c.id
+            WHERE g.user_id = ? AND g.deleted_at IS NULL
+            GROUP BY c.id, c.name, c.color
+            ORDER BY count DESC`,
             [req.user.id]
         );
 
@@ -34,24 +163,30 @@ exports.getAnalytics = async (req, res) => {
                 DATE_FORMAT(start_time, '%Y-%m-%d') as date,
                 SUM(TIMESTAMPDIFF(SECOND, start_time, end_time)) / 60 as minutes
             FROM pomodoro_sessions 
-            WHERE user_id = ? AND completed = true 
+            WHERE user_id = ? AND completed = true AND phase_type = 'Work'
                 AND start_time >= DATE_SUB(CURDATE(), INTERVAL 7 DAY)
             GROUP BY DATE_FORMAT(start_time, '%Y-%m-%d')
             ORDER BY date`,
             [req.user.id]
         );
 
-        // Get goal completion trend
-        const [completionTrend] = await pool.query(
-            `SELECT 
-                DATE_FORMAT(created_at, '%Y-%m-%d') as date,
-                COUNT(*) as total,
-                SUM(CASE WHEN status = 'Completed' THEN 1 ELSE 0 END) as completed
-            FROM goals
-            WHERE user_id = ? AND created_at >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)
-            GROUP BY DATE_FORMAT(created_at, '%Y-%m-%d')
-            ORDER BY date`,
-            [req.user.id]
+        // Get goal completion trend, by the day goals were created and completed
+        const completionTrend = await Goal.getCompletionTrend(req.user.id, 30);
+
+        // Get estimated and actual Pomodoros of recently completed goals. Flow blocks are
+        // not Pomodoros, so goals finished without any have nothing to compare and are left out.
+        const [estimatedGoals] = await pool.query(
+            `SELECT g.estimated_pomodoros, COALESCE(c.name, "Uncategorized") as category, c.color,
+                DATE_FORMAT(g.completed_at, '%Y-%m') as month,
+                COUNT(p.id) as actual
+            FROM goals g
+            LEFT JOIN categories c ON g.category_id = c.id
+            JOIN pomodoro_sessions p ON p.goal_id = g.id AND p.completed = true AND p.phase_type = 'Work'
+                AND p.mode = 'Pomodoro'
+            WHERE g.user_id = ? AND g.status = 'Completed' AND g.deleted_at IS NULL
+                AND g.completed_at >= DATE_SUB(CURDATE(), INTERVAL ? MONTH)
+            GROUP BY g.id, c.name, c.color`,
+            [req.user.id, ESTIMATION_MONTHS]
         );
 
         // Get focus pattern heatmap data (by hour of day and day of week)
@@ -62,7 +197,7 @@ exports.getAnalytics = async (req, res) => {
                 COUNT(*) as session_count,
                 SUM(TIMESTAMPDIFF(SECOND, start_time, end_time)) / 60 as total_minutes
             FROM pomodoro_sessions 
-            WHERE user_id = ? AND completed = true 
+            WHERE user_id = ? AND completed = true AND phase_type = 'Work'
                 AND start_time >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)
             GROUP BY HOUR(start_time), DAYOFWEEK(start_time)
             ORDER BY day_of_week, hour_of_day`,
@@ -85,19 +220,56 @@ exports.getAnalytics = async (req, res) => {
             }
         });
 
+        // Summarise interruptions, with counts for each hour of the day
+        const interruptions = {
+            total: 0,
+            Internal: 0,
+            External: 0,
+            perFocusHour: 0,
+            byHour: Array(24).fill().map(() => ({ Internal: 0, External: 0 })),
+            topCauses: interruptionCauses
+        };
+
+        interruptionsByHour.forEach(entry => {
+            interruptions.byHour[entry.hour_of_day][entry.type] = entry.count;
+            interruptions[entry.type] += entry.count;
+            interruptions.total += entry.count;
+        });
+
+        const recentFocusHours = (Number(recentFocusTime[0].seconds) || 0) / 3600;
+        if (recentFocusHours > 0) {
+            interruptions.perFocusHour = Math.round((interruptions.total / recentFocusHours) * 10) / 10;
+        }
+
         // Format data for rendering
         const analytics = {
             statusCounts: statusCounts.reduce((acc, curr) => {
                 acc[curr.status] = curr.count;
                 return acc;
-            }, { Pending: 0,  Completed: 0 }),
+            }, Object.fromEntries(Goal.STATUSES.map(status => [status, 0]))),
             totalSessions: totalSessions[0].count || 0,
             totalFocusTime: Math.floor((totalFocusTime[0].seconds || 0) / 60), // Convert to minutes
             totalFocusHours: Math.floor((totalFocusTime[0].seconds || 0) / 3600), // Convert to hours
             categoryData: categoryData,
             completionTrend: completionTrend,
             weeklyFocus: weeklyFocus,
-            heatmapData: heatmapData
+            heatmapData: heatmapData,
+            phaseMinutes: phaseTotals.reduce((acc, curr) => {
+                acc[curr.phase_type] = Math.floor((curr.seconds || 0) / 60);
+                return acc;
+            }, { Work: 0, Break: 0, 'Long Break': 0 }),
+            modeMinutes: modeTotals.reduce((acc, curr) => {
+                acc[curr.mode] = Math.floor((curr.seconds || 0) / 60);
+                return acc;
+            }, { Pomodoro: 0, Flow: 0 }),
+            focusByHour: focusRatings.map(entry => ({
+                hour: entry.hour_of_day,
+                avgRating: Math.round(Number(entry.avg_rating) * 10) / 10,
+                avgDistractions: entry.avg_distractions === null ? null : Math.round(Number(entry.avg_distractions) * 10) / 10,
+                sessions: entry.session_count
+            })),
+            interruptions: interruptions,
+            estimation: summarizeEstimates(estimatedGoals)
         };
 
         // Generate date labels for the last 7 days
@@ -134,12 +306,12 @@ exports.getProductivityScore = async (req, res) => {
     try {
         // Base metrics - Goal completion rate
         const [completed] = await pool.query(
-            'SELECT COUNT(*) as count FROM goals WHERE user_id = ? AND status = "Completed"',
+            'SELECT COUNT(*) as count FROM goals WHERE user_id = ? AND status = "Completed" AND deleted_at IS NULL',
             [req.user.id]
         );
 
         const [total] = await pool.query(
-            'SELECT COUNT(*) as count FROM goals WHERE user_id = ?',
+            'SELECT COUNT(*) as count FROM goals WHERE user_id = ? AND deleted_at IS NULL',
             [req.user.id]
         );
 
@@ -152,7 +324,7 @@ exports.getProductivityScore = async (req, res) => {
                 DATE(start_time) as date,
                 COUNT(*) as count
             FROM pomodoro_sessions
-            WHERE user_id = ? AND completed = true AND start_time >= DATE_SUB(CURDATE(), INTERVAL 7 DAY)
+            WHERE user_id = ? AND completed = true AND phase_type = 'Work' AND start_time >= DATE_SUB(CURDATE(), INTERVAL 7 DAY)
             GROUP BY DATE(start_time)`,
             [req.user.id]
         );
@@ -164,7 +336,7 @@ exports.getProductivityScore = async (req, res) => {
         const [totalFocusTime] = await pool.query(
             `SELECT SUM(TIMESTAMPDIFF(SECOND, start_time, end_time)) as seconds 
              FROM pomodoro_sessions
-             WHERE user_id = ? AND completed = true AND start_time >= DATE_SUB(CURDATE(), INTERVAL 7 DAY)`,
+             WHERE user_id = ? AND completed = true AND phase_type = 'Work' AND start_time >= DATE_SUB(CURDATE(), INTERVAL 7 DAY)`,
             [req.user.id]
         );
 
@@ -180,20 +352,23 @@ exports.getProductivityScore = async (req, res) => {
                 COUNT(*) as total_sessions,
                 SUM(CASE WHEN completed = true THEN 1 ELSE 0 END) as completed_sessions
              FROM pomodoro_sessions
-             WHERE user_id = ? AND start_time >= DATE_SUB(CURDATE(), INTERVAL 14 DAY)`,
+             WHERE user_id = ? AND phase_type = 'Work' AND start_time >= DATE_SUB(CURDATE(), INTERVAL 14 DAY)`,
             [req.user.id]
         );
 
         const sessionCompletionRate = sessionStats[0].total_sessions > 0 ?
             (sessionStats[0].completed_sessions / sessionStats[0].total_sessions) * 100 : 100;
 
-        // Goal timeliness (completing goals before deadlines)
+        // Goal timeliness (completing goals by their deadlines). Only goals that are done
+        // or already past their deadline count, and cancelled goals are left out, as are
+        // completed goals with no recorded completion time.
         const [goalTimeliness] = await pool.query(
             `SELECT 
                 COUNT(*) as total_goals_with_deadline,
-                SUM(CASE WHEN status = 'Completed' AND deadline >= CURDATE() THEN 1 ELSE 0 END) as completed_on_time
+                SUM(CASE WHEN status = 'Completed' AND DATE(completed_at) <= deadline THEN 1 ELSE 0 END) as completed_on_time
              FROM goals
-             WHERE user_id = ? AND deadline IS NOT NULL`,
+             WHERE user_id = ? AND deadline IS NOT NULL AND deleted_at IS NULL AND status != 'Cancelled'
+                AND ((status = 'Completed' AND completed_at IS NOT NULL) OR (status != 'Completed' AND deadline < CURDATE()))`,
             [req.user.id]
         );
 
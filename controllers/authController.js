@@ -3,6 +3,7 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const pool = require('../config/db');
 const { validationResult } = require('express-validator');
+const Category = require('../models/Category');
 
 // Register user
 exports.register = async (req, res) => {
@@ -71,6 +72,9 @@ exports.register = async (req, res) => {
             [username, email, hashedPassword]
         );
 
+        // Start with a few categories the user can rename or remove later
+        await Category.createDefaults(result.insertId);
+
         console.log('User registered successfully');
         req.flash('success_msg', 'You are now registered and can log in');
         return res.redirect('/auth/login');
@@ -166,6 +170,9 @@ exports.deleteAccount = async (req, res) => {
 
         // First, delete all related data
         // Note: If you've set up CASCADE deletion in your database, this might not be necessary
+        await pool.query('DELETE FROM active_timers WHERE user_id = ?', [userId]);
+        await pool.query('DELETE FROM user_settings WHERE user_id = ?', [userId]);
+        await pool.query('DELETE FROM session_interruptions WHERE user_id = ?', [userId]);
         await pool.query('DELETE FROM pomodoro_sessions WHERE user_id = ?', [userId]);
         await pool.query('DELETE FROM goals WHERE user_id = ?', [userId]);
 
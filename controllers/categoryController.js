@@ -0,0 +1,88 @@
+// controllers/categoryController.js
+const { validationResult } = require('express-validator');
+const Category = require('../models/Category');
+
+// Explain why a category could not be saved
+const categoryErrorMessage = (err, fallback) => {
+    return err.code === 'ER_DUP_ENTRY' ? 'You already have a category with that name' : fallback;
+};
+
+// Get categories page
+exports.getCategories = async (req, res) => {
+    try {
+        const categories = await Category.findByUserId(req.user.id);
+
+        res.render('categories', { categories, icons: Category.ICONS, user: req.user });
+    } catch (err) {
+        console.error(err);
+        req.flash('error_msg', 'Failed to load categories');
+        res.redirect('/dashboard');
+    }
+};
+
+// Create a category
+exports.createCategory = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            req.flash('error_msg', errors.array()[0].msg);
+            return res.redirect('/categories');
+        }
+
+        const { name, color, icon } = req.body;
+
+        await Category.create(req.user.id, name, color.toLowerCase(), icon);
+
+        req.flash('success_msg', 'Category added successfully');
+        res.redirect('/categories');
+    } catch (err) {
+        console.error(err);
+        req.flash('error_msg', categoryErrorMessage(err, 'Failed to add category'));
+        res.redirect('/categories');
+    }
+};
+
+// Update a category
+exports.updateCategory = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            req.flash('error_msg', errors.array()[0].msg);
+            return res.redirect('/categories');
+        }
+
+        const { name, color, icon } = req.body;
+        const updated = await Category.update(req.params.id, req.user.id, name, color.toLowerCase(), icon);
+
+        if (!updated) {
+            req.flash('error_msg', 'Category not found');
+            return res.redirect('/categories');
+        }
+
+        req.flash('success_msg', 'Category updated successfully');
+        res.redirect('/categories');
+    } catch (err) {
+        console.error(err);
+        req.flash('error_msg', categoryErrorMessage(err, 'Failed to update category'));
+        res.redirect('/categories');
+    }
+};
+
+// Delete a category
+exports.deleteCategory = async (req, res) => {
+    try {
+        const deleted = await Category.delete(req.params.id, req.user.id);
+
+        if (!deleted) {
+            req.flash('error_msg', 'Category not found');
+            return res.redirect('/categories');
+        }
+
+        req.flash('success_msg', 'Category deleted successfully');
+        res.redirect('/categories');
+    } catch (err) {
+        console.error(err);
+        req.flash('error_msg', 'Failed to delete category');
+        res.redirect('/categories');
+    }
+};
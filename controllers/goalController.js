@@ -2,16 +2,286 @@
 const pool = require('../config/db');
 const { validationResult } = require('express-validator');
 const moment = require('moment');
+const UserSettings = require('../models/UserSettings');
+const Recurrence = require('../models/Recurrence');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const Goal = require('../models/Goal');
+const GoalDependency = require('../models/GoalDependency');
+const GoalEvent = require('../models/GoalEvent');
 
-// Get all goals for a user
+// Orderings offered by the dashboard filter bar, deadline first by default
+const GOAL_SORTS = {
+    deadline: 'g.deadline IS NULL, g.deadline ASC, g.priority DESC',
+    priority: 'g.priority DESC, g.deadline IS NULL, g.deadline ASC',
+    created: 'g.created_at DESC, g.id DESC',
+    title: 'g.title ASC'
+};
+const GOALS_PER_PAGE = 20;
+
+// Load the checklist items of the user's goals, grouped by goal id. Pass goal ids to
+// load only those goals' items.
+const findGoalItems = async (userId, goalIds = null) => {
+    if (goalIds && goalIds.length === 0) {
+        return {};
+    }
+
+    const [items] = await pool.query(
+        `SELECT i.* FROM goal_items i
+        JOIN goals g ON i.goal_id = g.id
+        WHERE g.user_id = ?
+            ${goalIds ? 'AND i.goal_id IN (?)' : ''}
+        ORDER BY i.position, i.id`,
+        goalIds ? [userId, goalIds] : [userId]
+    );
+
+    return items.reduce((acc, item) => {
+        (acc[item.goal_id] = acc[item.goal_id] || []).push(item);
+        return acc;
+    }, {});
+};
+
+// Check that a subtask belongs to the given goal of the user, returning its id or null
+const findGoalItemId = async (goalItemId, goalId, userId) => {
+    if (!goalItemId || !goalId) {
+        return null;
+    }
+
+    const [items] = await pool.query(
+        `SELECT i.id FROM goal_items i
+        JOIN goals g ON i.goal_id = g.id
+        WHERE i.id = ? AND i.goal_id = ? AND g.user_id = ?`,
+        [goalItemId, goalId, userId]
+    );
+
+    return items.length > 0 ? items[0].id : null;
+};
+
+// Check that a category belongs to the user, returning its id or null for no category
+const findCategoryId = async (categoryId, userId) => {
+    if (!categoryId) {
+        return null;
+    }
+
+    const category = await Category.findById(categoryId, userId);
+
+    return category ? category.id : null;
+};
+
+// Load one of the user's goals with its category name, as kept in the goal's history.
+// Goals in the trash are not found.
+const findGoalWithCategory = async (goalId, userId) => {
+    const [goals] = await pool.query(
+        `SELECT g.*, c.name as category
+        FROM goals g
+        LEFT JOIN categories c ON g.category_id = c.id
+        WHERE g.id = ? AND g.user_id = ? AND g.deleted_at IS NULL`,
+        [goalId, userId]
+    );
+
+    return goals[0] || null;
+};
+
+// Read the ids of the goals a goal depends on from a goal form
+const parseDependsOn = (body) => {
+    return [...new Set([].concat(body.depends_on || []).map(id => parseInt(id)).filter(id => id > 0))];
+};
+
+// Follow up on a goal that was just completed or cancelled: a completed recurring goal
+// schedules its next occurrence, and goals waiting on it are unblocked. Returns the
+// ids of the unblocked goals.
+const afterGoalClosed = async (goalId, userId, status) => {
+    if (status === 'Completed') {
+        await Recurrence.createNextOccurrence(goalId);
+    }
+
+    return GoalDependency.unblockDependents(goalId, userId);
+};
+
+// Follow up on a goal whose status just changed: closing it is handled by afterGoalClosed,
+// and reopening a completed or cancelled goal blocks the goals waiting on it again.
+// Returns the ids of the goals unblocked by closing it.
+const afterStatusChanged = async (goalId, userId, from, to) => {
+    if (GoalDependency.RESOLVED.includes(to)) {
+        return afterGoalClosed(goalId, userId, to);
+    }
+
+    if (GoalDependency.RESOLVED.includes(from)) {
+        await GoalDependency.blockDependents(goalId, userId);
+    }
+
+    return [];
+};
+
+// Explain why a goal cannot move to a status while goals it depends on are still open.
+// It can only stay Blocked or be cancelled until they are done. Returns null if it can.
+const openBlockersMessage = async (goalId, status) => {
+    if (status === 'Blocked' || status === 'Cancelled') {
+        return null;
+    }
+
+    const blockers = await GoalDependency.findOpenBlockers(goalId);
+
+    return blockers.length > 0
+        ? `Finish ${blockers.map(blocker => `"${blocker.title}"`).join(', ')} first`
+        : null;
+};
+
+// Read the dashboard filters from the query string. Values that are not
+// recognised are dropped rather than rejected so a stale link still loads.
+const parseGoalFilters = (query) => {
+    const isDate = (value) => moment(value, 'YYYY-MM-DD', true).isValid();
+    const filters = {
+        q: typeof query.q === 'string' ? query.q.trim().slice(0, 100) : '',
+        category: query.category === 'none' || /^\d+$/.test(query.category) ? query.category : '',
+        priority: Goal.PRIORITIES.includes(query.priority) ? query.priority : '',
+        status: Goal.STATUSES.includes(query.status) ? query.status : '',
+        from: isDate(query.from) ? query.from : '',
+        to: isDate(query.to) ? query.to : '',
+        sort: GOAL_SORTS[query.sort] ? query.sort : 'deadline',
+        view: query.view === 'board' ? 'board' : 'list'
+    };
+
+    return { filters, page: Math.max(parseInt(query.page) || 1, 1) };
+};
+
+// Turn the dashboard filters into a WHERE clause over goals g. Archived and
+// trashed goals are only listed on the trash page.
+const buildGoalFilterQuery = (filters, userId) => {
+    const conditions = ['g.user_id = ?', 'g.archived_at IS NULL', 'g.deleted_at IS NULL'];
+    const params = [userId];
+
+    if (filters.q) {
+        const pattern = `%${filters.q.replace(/[\\%_]/g, '\\$&')}%`;
+        conditions.push('(g.title LIKE ? OR g.description LIKE ?)');
+        params.push(pattern, pattern);
+    }
+    if (filters.category === 'none') {
+        conditions.push('g.category_id IS NULL');
+    } else if (filters.category) {
+        conditions.push('g.category_id = ?');
+        params.push(filters.category);
+    }
+    if (filters.priority) {
+        conditions.push('g.priority = ?');
+        params.push(filters.priority);
+    }
+    if (filters.status) {
+        conditions.push('g.status = ?');
+        params.push(filters.status);
+    }
+    if (filters.from) {
+        conditions.push('g.deadline >= ?');
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        conditions.push('g.deadline <= ?');
+        params.push(filters.to);
+    }
+
+    return { where: conditions.join(' AND '), params };
+};
+
+// Send the user back to the dashboard they came from, keeping its filters
+const dashboardUrl = (req) => {
+    try {
+        const referer = new URL(req.get('Referer') || '', `${req.protocol}://${req.get('host')}`);
+        if (referer.host === req.get('host') && ['/dashboard', '/goals'].includes(referer.pathname)) {
+            return `/dashboard${referer.search}`;
+        }
+    } catch (err) {
+        // Not a usable URL, fall through to the plain dashboard
+    }
+
+    return '/dashboard';
+};
+
+// Answer a request from the dashboard's scripts with JSON, and a form post
+// with a flash message and a redirect
+const sendGoalResult = (req, res, statusCode, message, redirectTo) => {
+    const success = statusCode < 400;
+
+    if (req.accepts(['html', 'json']) === 'json') {
+        return res.status(statusCode).json({ success, message });
+    }
+
+    req.flash(success ? 'success_msg' : 'error_msg', message);
+    res.redirect(redirectTo);
+};
+
+// Get the user's goals, narrowed by the dashboard filters
 exports.getGoals = async (req, res) => {
     try {
+        const { filters, page } = parseGoalFilters(req.query);
+        const { where, params } = buildGoalFilterQuery(filters, req.user.id);
+
+        const [statusRows] = await pool.query(
+            `SELECT g.status, COUNT(*) as count FROM goals g WHERE ${where} GROUP BY g.status`,
+            params
+        );
+        const statusCounts = {};
+        Goal.STATUSES.forEach(status => {
+            const row = statusRows.find(row => row.status === status);
+            statusCounts[status] = row ? row.count : 0;
+        });
+
+        // The board shows every matching goal, the list a page at a time
+        const total = statusRows.reduce((sum, row) => sum + row.count, 0);
+        const perPage = filters.view === 'board' ? Math.max(total, 1) : GOALS_PER_PAGE;
+        const pagination = {
+            page: Math.min(page, Math.max(Math.ceil(total / perPage), 1)),
+            pages: Math.ceil(total / perPage),
+            total
+        };
+
         const [goals] = await pool.query(
-            'SELECT * FROM goals WHERE user_id = ? ORDER BY deadline ASC, priority DESC',
+            `SELECT g.*, c.name as category, c.color as category_color, c.icon as category_icon
+            FROM goals g
+            LEFT JOIN categories c ON g.category_id = c.id
+            WHERE ${where}
+            ORDER BY ${GOAL_SORTS[filters.sort]}
+            LIMIT ? OFFSET ?`,
+            [...params, perPage, (pagination.page - 1) * perPage]
+        );
+
+        // Checklist items, tags, how the goal repeats, what it waits on and the work
+        // done on it so far, shown with each goal on this page
+        const goalIds = goals.map(goal => goal.id);
+        const itemsByGoal = await findGoalItems(req.user.id, goalIds);
+        const tagsByGoal = await Tag.findByUserId(req.user.id, goalIds);
+        const dependenciesByGoal = await GoalDependency.findByUserId(req.user.id, goalIds);
+        const totalsByGoal = await Goal.getPomodoroTotals(req.user.id, goalIds);
+        goals.forEach(goal => {
+            const totals = totalsByGoal[goal.id] || { pomodoros: 0, focusMinutes: 0 };
+            goal.pomodoros = totals.pomodoros;
+            goal.focusMinutes = totals.focusMinutes;
+            goal.items = itemsByGoal[goal.id] || [];
+            goal.tags = tagsByGoal[goal.id] || [];
+            goal.recurrenceLabel = Recurrence.describe(goal);
+            goal.dependencies = dependenciesByGoal[goal.id] || [];
+            goal.blockers = goal.dependencies.filter(dependency => dependency.open);
+        });
+
+        const streaks = await Recurrence.getStreaks(req.user.id);
+        const categories = await Category.findByUserId(req.user.id);
+
+        // Every goal, not just this page, can be picked as something a goal depends on
+        const [goalOptions] = await pool.query(
+            'SELECT id, title, status FROM goals WHERE user_id = ? AND status != "Cancelled" AND deleted_at IS NULL ORDER BY title',
             [req.user.id]
         );
 
-        res.render('dashboard', { goals, user: req.user });
+        // Timer preferences are used as defaults in the start timer modal, and
+        // the board's work in progress limits are kept with them
+        const settings = await UserSettings.findByUserId(req.user.id);
+
+        res.render('dashboard', {
+            goals, statusCounts, filters, pagination, streaks, categories, goalOptions, settings,
+            priorities: Goal.PRIORITIES,
+            statuses: Goal.STATUSES,
+            user: req.user,
+            moment
+        });
     } catch (err) {
         console.error(err);
         req.flash('error_msg', 'Failed to load goals');
@@ -25,23 +295,31 @@ exports.createGoal = async (req, res) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
             req.flash('error_msg', 'Please correct the errors in the form');
-            return res.redirect('/dashboard');
+            return res.redirect(dashboardUrl(req));
         }
 
-        const { title, description, category, priority, deadline, estimated_pomodoros } = req.body;
+        const { title, description, priority, estimated_pomodoros } = req.body;
+        const categoryId = await findCategoryId(req.body.category_id, req.user.id);
         const estimatedPomodoros = parseInt(estimated_pomodoros) || 1; // Default to 1 if not provided
+        const recurrence = Recurrence.fromBody(req.body, req.body.deadline);
 
-        await pool.query(
-            'INSERT INTO goals (user_id, title, description, category, priority, deadline, estimated_pomodoros) VALUES (?, ?, ?, ?, ?, ?, ?)',
-            [req.user.id, title, description, category, priority, deadline || null, estimatedPomodoros]
+        // Each occurrence of a recurring goal is due on a date, starting today unless one is given
+        const deadline = req.body.deadline || (recurrence.type !== 'None' ? moment().format('YYYY-MM-DD') : null);
+
+        const [result] = await pool.query(
+            'INSERT INTO goals (user_id, title, description, category_id, priority, deadline, estimated_pomodoros, recurrence, recurrence_days, recurrence_interval) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [req.user.id, title, description, categoryId, priority, deadline, estimatedPomodoros, recurrence.type, recurrence.days, recurrence.interval]
         );
 
+        await Tag.setForGoal(result.insertId, req.user.id, Tag.parse(req.body.tags));
+        await GoalDependency.setForGoal(result.insertId, req.user.id, parseDependsOn(req.body));
+
         req.flash('success_msg', 'Goal added successfully');
-        res.redirect('/dashboard');
+        res.redirect(dashboardUrl(req));
     } catch (err) {
         console.error(err);
         req.flash('error_msg', 'Failed to add goal');
-        res.redirect('/dashboard');
+        res.redirect(dashboardUrl(req));
     }
 };
 
@@ -51,69 +329,239 @@ exports.updateGoal = async (req, res) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
             req.flash('error_msg', 'Please correct the errors in the form');
-            return res.redirect('/dashboard');
+            return res.redirect(dashboardUrl(req));
         }
 
-        const { title, description, category, priority, status, deadline, estimated_pomodoros } = req.body;
+        const { title, description, priority, status, estimated_pomodoros } = req.body;
         const goalId = req.params.id;
+        const categoryId = await findCategoryId(req.body.category_id, req.user.id);
         const estimatedPomodoros = parseInt(estimated_pomodoros) || 1; // Default to 1 if not provided
 
         // Check if goal belongs to user
-        const [goals] = await pool.query(
-            'SELECT * FROM goals WHERE id = ? AND user_id = ?',
-            [goalId, req.user.id]
-        );
+        const goal = await findGoalWithCategory(goalId, req.user.id);
 
-        if (goals.length === 0) {
+        if (!goal) {
             req.flash('error_msg', 'Goal not found');
-            return res.redirect('/dashboard');
+            return res.redirect(dashboardUrl(req));
+        }
+
+        // A deadline left out of the form keeps the stored one. A repeating goal always
+        // has a deadline, so clearing it keeps the current occurrence's date too.
+        const storedDeadline = goal.deadline ? moment(goal.deadline).format('YYYY-MM-DD') : null;
+        const recurrence = Recurrence.fromBody(req.body, req.body.deadline || storedDeadline);
+        let deadline = req.body.deadline === undefined ? storedDeadline : req.body.deadline || null;
+        if (!deadline && recurrence.type !== 'None') {
+            deadline = storedDeadline || moment().format('YYYY-MM-DD');
+        }
+
+        if (!Goal.canTransition(goal.status, status)) {
+            req.flash('error_msg', `A ${goal.status} goal cannot be changed to ${status}`);
+            return res.redirect(dashboardUrl(req));
         }
 
         await pool.query(
-            'UPDATE goals SET title = ?, description = ?, category = ?, priority = ?, status = ?, deadline = ?, estimated_pomodoros = ? WHERE id = ?',
-            [title, description, category, priority, status, deadline || null, estimatedPomodoros, goalId]
+            'UPDATE goals SET title = ?, description = ?, category_id = ?, priority = ?, deadline = ?, estimated_pomodoros = ?, recurrence = ?, recurrence_days = ?, recurrence_interval = ? WHERE id = ?',
+            [title, description, categoryId, priority, deadline, estimatedPomodoros, recurrence.type, recurrence.days, recurrence.interval, goalId]
         );
 
+        await Tag.setForGoal(goalId, req.user.id, Tag.parse(req.body.tags));
+
+        // Keep a history of what the edit changed. Status changes are logged as they are made.
+        await GoalEvent.record(goalId, req.user.id, 'Edit', GoalEvent.diff(goal, await findGoalWithCategory(goalId, req.user.id)));
+
+        // Dependencies are saved first, so the new status is checked against what the goal waits on now
+        const dependenciesSaved = await GoalDependency.setForGoal(goalId, req.user.id, parseDependsOn(req.body));
+
+        let statusMessage = null;
+        if (status !== goal.status) {
+            statusMessage = await openBlockersMessage(goalId, status);
+
+            if (!statusMessage && await Goal.changeStatus(goalId, req.user.id, status, 'Edit')) {
+                await afterStatusChanged(goalId, req.user.id, goal.status, status);
+            }
+        }
+
+        if (!dependenciesSaved) {
+            req.flash('error_msg', 'Goal updated, but its dependencies were not changed because a goal cannot end up waiting on itself');
+            return res.redirect(dashboardUrl(req));
+        }
+
+        if (statusMessage) {
+            req.flash('error_msg', `Goal updated, but its status was not changed. ${statusMessage}.`);
+            return res.redirect(dashboardUrl(req));
+        }
+
         req.flash('success_msg', 'Goal updated successfully');
-        res.redirect('/dashboard');
+        res.redirect(dashboardUrl(req));
     } catch (err) {
         console.error(err);
         req.flash('error_msg', 'Failed to update goal');
-        res.redirect('/dashboard');
+        res.redirect(dashboardUrl(req));
     }
 };
 
-// Delete a goal
+// Move a goal to the trash. It keeps its sessions and can be restored until
+// the trash is purged.
 exports.deleteGoal = async (req, res) => {
     try {
         const goalId = req.params.id;
 
-        // Check if goal belongs to user
-        const [goals] = await pool.query(
-            'SELECT * FROM goals WHERE id = ? AND user_id = ?',
+        const [result] = await pool.query(
+            'UPDATE goals SET deleted_at = NOW() WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
             [goalId, req.user.id]
         );
 
-        if (goals.length === 0) {
-            req.flash('error_msg', 'Goal not found');
-            return res.redirect('/dashboard');
+        if (result.affectedRows === 0) {
+            return sendGoalResult(req, res, 404, 'Goal not found', dashboardUrl(req));
         }
 
-        await pool.query('DELETE FROM goals WHERE id = ?', [goalId]);
+        // A trashed goal no longer holds up the goals waiting on it
+        await GoalDependency.unblockDependents(goalId, req.user.id);
 
-        req.flash('success_msg', 'Goal deleted successfully');
+        sendGoalResult(req, res, 200, 'Goal moved to the trash', dashboardUrl(req));
+    } catch (err) {
+        console.error(err);
+        sendGoalResult(req, res, 500, 'Failed to delete goal', dashboardUrl(req));
+    }
+};
+
+// Archive a goal, taking it off the dashboard without deleting it
+exports.archiveGoal = async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            'UPDATE goals SET archived_at = NOW() WHERE id = ? AND user_id = ? AND archived_at IS NULL AND deleted_at IS NULL',
+            [req.params.id, req.user.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return sendGoalResult(req, res, 404, 'Goal not found', dashboardUrl(req));
+        }
+
+        sendGoalResult(req, res, 200, 'Goal archived', dashboardUrl(req));
+    } catch (err) {
+        console.error(err);
+        sendGoalResult(req, res, 500, 'Failed to archive goal', dashboardUrl(req));
+    }
+};
+
+// Bring an archived or trashed goal back to the dashboard
+exports.restoreGoal = async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            `UPDATE goals SET archived_at = NULL, deleted_at = NULL
+            WHERE id = ? AND user_id = ? AND (archived_at IS NOT NULL OR deleted_at IS NOT NULL)`,
+            [req.params.id, req.user.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return sendGoalResult(req, res, 404, 'Goal not found', '/goals/trash');
+        }
+
+        // Goals depending on it wait for it again if it is still open
+        await GoalDependency.blockDependents(req.params.id, req.user.id);
+
+        sendGoalResult(req, res, 200, 'Goal restored', '/goals/trash');
+    } catch (err) {
+        console.error(err);
+        sendGoalResult(req, res, 500, 'Failed to restore goal', '/goals/trash');
+    }
+};
+
+// Get the trash page, with trashed goals and archived ones
+exports.getTrash = async (req, res) => {
+    try {
+        const [trashed] = await pool.query(
+            `SELECT g.*, c.name as category, c.color as category_color, c.icon as category_icon,
+                GREATEST(? - DATEDIFF(NOW(), g.deleted_at), 0) as days_left
+            FROM goals g
+            LEFT JOIN categories c ON g.category_id = c.id
+            WHERE g.user_id = ? AND g.deleted_at IS NOT NULL
+            ORDER BY g.deleted_at DESC`,
+            [Goal.TRASH_RETENTION_DAYS, req.user.id]
+        );
+
+        const [archived] = await pool.query(
+            `SELECT g.*, c.name as category, c.color as category_color, c.icon as category_icon
+            FROM goals g
+            LEFT JOIN categories c ON g.category_id = c.id
+            WHERE g.user_id = ? AND g.archived_at IS NOT NULL AND g.deleted_at IS NULL
+            ORDER BY g.archived_at DESC`,
+            [req.user.id]
+        );
+
+        res.render('trash', {
+            trashed, archived,
+            retentionDays: Goal.TRASH_RETENTION_DAYS,
+            user: req.user
+        });
+    } catch (err) {
+        console.error(err);
+        req.flash('error_msg', 'Failed to load the trash');
         res.redirect('/dashboard');
+    }
+};
+
+// Delete a trashed goal for good
+exports.purgeGoal = async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            'DELETE FROM goals WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL',
+            [req.params.id, req.user.id]
+        );
+
+        if (result.affectedRows === 0) {
+            req.flash('error_msg', 'Goal not found in the trash');
+            return res.redirect('/goals/trash');
+        }
+
+        req.flash('success_msg', 'Goal deleted permanently');
+        res.redirect('/goals/trash');
     } catch (err) {
         console.error(err);
         req.flash('error_msg', 'Failed to delete goal');
-        res.redirect('/dashboard');
+        res.redirect('/goals/trash');
     }
 };
 
+// Read the optional post-session reflection from a request body,
+// dropping values that are out of range
+const parseReflection = (body) => {
+    const focusRating = parseInt(body.focusRating);
+    const distractionCount = parseInt(body.distractionCount);
+    const reflectionNote = typeof body.reflectionNote === 'string' ? body.reflectionNote.trim() : '';
+
+    return {
+        reflectionNote: reflectionNote ? reflectionNote.substring(0, 500) : null,
+        focusRating: focusRating >= 1 && focusRating <= 5 ? focusRating : null,
+        distractionCount: distractionCount >= 0 ? Math.min(distractionCount, 999) : null
+    };
+};
+
 // Record Pomodoro session
 exports.recordPomodoro = async (req, res) => {
     try {
-        const { goalId, startTime, endTime, completed, pomodoroNumber, totalPomodoros } = req.body;
+        const { goalId, startTime, endTime, completed, pomodoroNumber, totalPomodoros, elapsedSeconds, interruptionReason, clientId } = req.body;
+        const goalItemId = await findGoalItemId(req.body.goalItemId, goalId, req.user.id);
+        const phaseType = ['Work', 'Break', 'Long Break'].includes(req.body.phaseType) ? req.body.phaseType : 'Work';
+        const mode = req.body.mode === 'Flow' ? 'Flow' : 'Pomodoro';
+        const reflection = parseReflection(req.body);
+
+        // A retried post of a session that was already stored is acknowledged without inserting it again
+        if (clientId) {
+            const [existing] = await pool.query(
+                'SELECT id FROM pomodoro_sessions WHERE user_id = ? AND client_id = ?',
+                [req.user.id, clientId]
+            );
+
+            if (existing.length > 0) {
+                return res.status(200).json({
+                    success: true,
+                    message: 'Session already recorded',
+                    duplicate: true,
+                    goalUpdated: false
+                });
+            }
+        }
 
         // Convert ISO datetime strings to MySQL datetime format
         const formattedStartTime = moment(startTime).format('YYYY-MM-DD HH:mm:ss');
@@ -124,15 +572,55 @@ exports.recordPomodoro = async (req, res) => {
         console.log('Goal ID:', goalId || 'null');
         console.log('Start Time:', formattedStartTime);
         console.log('End Time:', formattedEndTime);
-        console.log('Pomodoro:', pomodoroNumber, 'of', totalPomodoros);
+        if (mode === 'Flow') {
+            console.log(`Flow block (${phaseType}):`, elapsedSeconds, 'seconds');
+        } else {
+            console.log('Pomodoro:', pomodoroNumber, 'of', totalPomodoros, `(${phaseType})`);
+        }
+        if (!completed) {
+            console.log('Interrupted after', elapsedSeconds, 'seconds:', interruptionReason || 'no reason given');
+        }
 
         // Check if the pomodoro_sessions table has the new columns
         try {
             await pool.query(
-                'INSERT INTO pomodoro_sessions (user_id, goal_id, start_time, end_time, completed, pomodoro_number, total_pomodoros) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                [req.user.id, goalId || null, formattedStartTime, formattedEndTime, completed, pomodoroNumber || 1, totalPomodoros || 1]
+                'INSERT INTO pomodoro_sessions (user_id, goal_id, goal_item_id, start_time, end_time, completed, pomodoro_number, total_pomodoros, phase_type, mode, elapsed_seconds, interruption_reason, reflection_note, focus_rating, distraction_count, client_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                [
+                    req.user.id,
+                    goalId || null,
+                    goalItemId,
+                    formattedStartTime,
+                    formattedEndTime,
+                    completed,
+                    // Flow blocks are open-ended, so they aren't numbered against the goal's estimate
+                    mode === 'Flow' ? null : pomodoroNumber || 1,
+                    mode === 'Flow' ? null : totalPomodoros || 1,
+                    phaseType,
+                    mode,
+                    parseInt(elapsedSeconds) || null,
+                    completed ? null : (interruptionReason || '').substring(0, 100) || null,
+                    reflection.reflectionNote,
+                    reflection.focusRating,
+                    reflection.distractionCount,
+                    clientId ? String(clientId).substring(0, 36) : null
+                ]
             );
         } catch (error) {
+            // The same session arrived twice at once - the other request stored it
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(200).json({
+                    success: true,
+                    message: 'Session already recorded',
+                    duplicate: true,
+                    goalUpdated: false
+                });
+            }
+
+            // Any other failure is a real error, not a database missing the new columns
+            if (error.code !== 'ER_BAD_FIELD_ERROR') {
+                throw error;
+            }
+
             // If the new columns don't exist, use the original query
             console.error('Using fallback query without pomodoro count fields:', error);
             await pool.query(
@@ -141,15 +629,17 @@ exports.recordPomodoro = async (req, res) => {
             );
         }
 
-        // If this session is the final pomodoro for a goal, update the goal status
+        // If this session is the final pomodoro for a goal, update the goal status.
+        // A goal moved to the trash while its timer ran is left as it is.
         let goalUpdated = false;
-        if (goalId && completed && pomodoroNumber >= totalPomodoros) {
-            await pool.query(
-                'UPDATE goals SET status = "Completed" WHERE id = ? AND user_id = ?',
-                [goalId, req.user.id]
-            );
-            console.log(`Updated goal ${goalId} status to Completed after final pomodoro`);
-            goalUpdated = true;
+        if (goalId && completed && phaseType === 'Work' && mode === 'Pomodoro' && pomodoroNumber >= totalPomodoros) {
+            goalUpdated = await Goal.changeStatus(goalId, req.user.id, 'Completed', 'Pomodoro');
+
+            // Only the request that completed the goal follows up on it
+            if (goalUpdated) {
+                console.log(`Updated goal ${goalId} status to Completed after final pomodoro`);
+                await afterGoalClosed(goalId, req.user.id, 'Completed');
+            }
         }
 
         res.status(200).json({
@@ -163,21 +653,63 @@ exports.recordPomodoro = async (req, res) => {
     }
 };
 
+// Save the reflection the user added after a work session ended
+exports.recordReflection = async (req, res) => {
+    try {
+        const { clientId } = req.body;
+        const reflection = parseReflection(req.body);
+
+        if (!clientId) {
+            return res.status(400).json({ success: false, message: 'Session id is required' });
+        }
+
+        const [result] = await pool.query(
+            `UPDATE pomodoro_sessions
+            SET reflection_note = ?, focus_rating = ?, distraction_count = ?
+            WHERE user_id = ? AND client_id = ? AND phase_type = 'Work'`,
+            [reflection.reflectionNote, reflection.focusRating, reflection.distractionCount, req.user.id, clientId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Session not found' });
+        }
+
+        res.status(200).json({ success: true, reflection });
+    } catch (err) {
+        console.error('Error saving session reflection:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
 // Get timer page with active goals
 exports.getTimer = async (req, res) => {
     try {
-        // Get active goals for the current user
+        // Get active goals for the current user, leaving out blocked ones
         const [goals] = await pool.query(
-            'SELECT * FROM goals WHERE user_id = ? AND status != "Completed"',
-            [req.user.id]
+            `SELECT * FROM goals g
+            WHERE g.user_id = ? AND g.status NOT IN ("Completed", "Cancelled", "Blocked")
+                AND g.archived_at IS NULL AND g.deleted_at IS NULL
+                AND NOT EXISTS (
+                    SELECT 1 FROM goal_dependencies d
+                    JOIN goals b ON d.depends_on_id = b.id
+                    WHERE d.goal_id = g.id AND b.status NOT IN (?) AND b.deleted_at IS NULL
+                )`,
+            [req.user.id, GoalDependency.RESOLVED]
         );
 
+        // Open subtasks can be picked on their own in the goal dropdown
+        const itemsByGoal = await findGoalItems(req.user.id, goals.map(goal => goal.id));
+        goals.forEach(goal => {
+            goal.items = (itemsByGoal[goal.id] || []).filter(item => !item.completed);
+        });
+
         // Get existing pomodoro sessions for the current user FROM TODAY ONLY
         const [userSessions] = await pool.query(
-            'SELECT p.*, g.title as goal_title ' +
+            'SELECT p.*, g.title as goal_title, i.title as goal_item_title ' +
             'FROM pomodoro_sessions p ' +
             'LEFT JOIN goals g ON p.goal_id = g.id ' +
-            'WHERE p.user_id = ? AND p.completed = true ' +
+            'LEFT JOIN goal_items i ON p.goal_item_id = i.id ' +
+            'WHERE p.user_id = ? AND p.completed = true AND p.phase_type = "Work" ' +
             'AND DATE(p.start_time) = CURDATE() ' +  // This filters for today's sessions only
             'ORDER BY p.start_time DESC',
             [req.user.id]
@@ -191,23 +723,34 @@ exports.getTimer = async (req, res) => {
             duration: Math.floor((new Date(session.end_time) - new Date(session.start_time)) / 1000),
             isWorkSession: true,
             goalId: session.goal_id,
-            goalText: session.goal_title || 'No goal selected',
+            goalItemId: session.goal_item_id,
+            goalText: session.goal_item_title
+                ? `${session.goal_title} › ${session.goal_item_title}`
+                : session.goal_title || 'No goal selected',
             pomodoroNumber: session.pomodoro_number || 1,
-            totalPomodoros: session.total_pomodoros || 1
+            totalPomodoros: session.total_pomodoros || 1,
+            mode: session.mode || 'Pomodoro',
+            clientId: session.client_id,
+            reflectionNote: session.reflection_note,
+            focusRating: session.focus_rating,
+            distractionCount: session.distraction_count
         }));
 
-        // Additional parameters can be passed to the timer page
+        // Additional parameters can be passed to the timer page, falling back to the user's preferences
+        const settings = await UserSettings.findByUserId(req.user.id);
         const goalId = req.query.goalId || null;
-        const duration = req.query.duration || 25;
-        const breakDuration = req.query.breakDuration || 5;
+        const duration = parseInt(req.query.duration) || settings.work_minutes;
+        const breakDuration = parseInt(req.query.breakDuration) || settings.break_minutes;
 
         res.render('timer', {
             goals,
             user: req.user,
+            settings,
             goalId,
             duration,
             breakDuration,
-            existingSessions: JSON.stringify(formattedSessions)
+            // Escape apostrophes so notes and titles can't end the single-quoted data attribute
+            existingSessions: JSON.stringify(formattedSessions).replace(/'/g, '\\u0027')
         });
     } catch (err) {
         console.error(err);
@@ -216,6 +759,56 @@ exports.getTimer = async (req, res) => {
     }
 };
 
+// Get a goal's page with the history of changes made to it
+exports.getGoal = async (req, res) => {
+    try {
+        const [goals] = await pool.query(
+            `SELECT g.*, c.name as category, c.color as category_color, c.icon as category_icon
+            FROM goals g
+            LEFT JOIN categories c ON g.category_id = c.id
+            WHERE g.id = ? AND g.user_id = ? AND g.deleted_at IS NULL`,
+            [req.params.id, req.user.id]
+        );
+
+        if (goals.length === 0) {
+            req.flash('error_msg', 'Goal not found');
+            return res.redirect('/dashboard');
+        }
+
+        const goal = goals[0];
+        const [items] = await pool.query(
+            'SELECT * FROM goal_items WHERE goal_id = ? ORDER BY position, id',
+            [goal.id]
+        );
+        const totals = (await Goal.getPomodoroTotals(req.user.id, [goal.id]))[goal.id] || { pomodoros: 0, focusMinutes: 0 };
+
+        goal.items = items;
+        goal.tags = (await Tag.findByUserId(req.user.id, [goal.id]))[goal.id] || [];
+        goal.recurrenceLabel = Recurrence.describe(goal);
+        goal.dependencies = (await GoalDependency.findByUserId(req.user.id, [goal.id]))[goal.id] || [];
+        goal.pomodoros = totals.pomodoros;
+        goal.focusMinutes = totals.focusMinutes;
+
+        const events = await GoalEvent.findByGoalId(goal.id, req.user.id);
+
+        // How often the deadline changed, and how often it was pushed back or dropped
+        const deadlineEvents = events.filter(event => event.field === 'deadline');
+        const deadlineSlips = deadlineEvents.filter(event => event.old_value && (!event.new_value || event.new_value > event.old_value)).length;
+
+        res.render('goal', {
+            goal, events, deadlineSlips,
+            deadlineChanges: deadlineEvents.length,
+            fields: GoalEvent.FIELDS,
+            user: req.user,
+            moment
+        });
+    } catch (err) {
+        console.error(err);
+        req.flash('error_msg', 'Failed to load goal');
+        res.redirect('/dashboard');
+    }
+};
+
 // Get goal details
 exports.getGoalDetails = async (req, res) => {
     try {
@@ -223,7 +816,7 @@ exports.getGoalDetails = async (req, res) => {
 
         // Check if goal belongs to user
         const [goals] = await pool.query(
-            'SELECT * FROM goals WHERE id = ? AND user_id = ?',
+            'SELECT * FROM goals WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
             [goalId, req.user.id]
         );
 
@@ -231,7 +824,29 @@ exports.getGoalDetails = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Goal not found' });
         }
 
-        res.status(200).json({ success: true, goal: goals[0] });
+        const [items] = await pool.query(
+            'SELECT * FROM goal_items WHERE goal_id = ? ORDER BY position, id',
+            [goalId]
+        );
+
+        // Progress through the checklist, when the goal has one
+        const completedItems = items.filter(item => item.completed).length;
+
+        // Work done so far against the estimate
+        const totals = (await Goal.getPomodoroTotals(req.user.id, [goalId]))[goalId] || { pomodoros: 0, focusMinutes: 0 };
+        const estimated = goals[0].estimated_pomodoros || 1;
+
+        res.status(200).json({
+            success: true,
+            goal: {
+                ...goals[0],
+                items,
+                itemProgress: items.length > 0 ? Math.round((completedItems / items.length) * 100) : null,
+                pomodoros: totals.pomodoros,
+                focusMinutes: totals.focusMinutes,
+                estimateError: Math.round(((totals.pomodoros - estimated) / estimated) * 100)
+            }
+        });
     } catch (err) {
         console.error('Error getting goal details:', err);
         res.status(500).json({ success: false, message: 'Server error' });
@@ -245,7 +860,7 @@ exports.completeGoal = async (req, res) => {
 
         // Check if goal belongs to user
         const [goals] = await pool.query(
-            'SELECT * FROM goals WHERE id = ? AND user_id = ?',
+            'SELECT * FROM goals WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
             [goalId, req.user.id]
         );
 
@@ -253,13 +868,23 @@ exports.completeGoal = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Goal not found' });
         }
 
-        // Update goal status to completed
-        await pool.query(
-            'UPDATE goals SET status = "Completed" WHERE id = ?',
-            [goalId]
-        );
+        // The final Pomodoro's session may have completed the goal already, in which
+        // case the goals it unblocked are the ones waiting on it that can be started
+        if (goals[0].status === 'Completed') {
+            const unblocked = await GoalDependency.findStartableDependents(goalId, req.user.id);
+            return res.status(200).json({ success: true, message: 'Goal marked as completed', unblocked });
+        }
+
+        if (!Goal.canTransition(goals[0].status, 'Completed')) {
+            return res.status(400).json({ success: false, message: `A ${goals[0].status} goal cannot be completed` });
+        }
 
-        res.status(200).json({ success: true, message: 'Goal marked as completed' });
+        // Goals that were waiting only on this one can be started now
+        const unblocked = await Goal.changeStatus(goalId, req.user.id, 'Completed', 'Status Update')
+            ? await afterGoalClosed(goalId, req.user.id, 'Completed')
+            : await GoalDependency.findStartableDependents(goalId, req.user.id);
+
+        res.status(200).json({ success: true, message: 'Goal marked as completed', unblocked });
     } catch (err) {
         console.error('Error completing goal:', err);
         res.status(500).json({ success: false, message: 'Server error' });
@@ -271,18 +896,18 @@ exports.getAnalytics = async (req, res) => {
     try {
         // Get goal statistics
         const [statusCounts] = await pool.query(
-            'SELECT status, COUNT(*) as count FROM goals WHERE user_id = ? GROUP BY status',
+            'SELECT status, COUNT(*) as count FROM goals WHERE user_id = ? AND deleted_at IS NULL GROUP BY status',
             [req.user.id]
         );
 
         // Get Pomodoro statistics
         const [totalSessions] = await pool.query(
-            'SELECT COUNT(*) as count FROM pomodoro_sessions WHERE user_id = ? AND completed = true',
+            'SELECT COUNT(*) as count FROM pomodoro_sessions WHERE user_id = ? AND completed = true AND phase_type = "Work"',
             [req.user.id]
         );
 
         const [totalFocusTime] = await pool.query(
-            'SELECT SUM(TIMESTAMPDIFF(SECOND, start_time, end_time)) as seconds FROM pomodoro_sessions WHERE user_id = ? AND completed = true',
+            'SELECT SUM(TIMESTAMPDIFF(SECOND, start_time, end_time)) as seconds FROM pomodoro_sessions WHERE user_id = ? AND completed = true AND phase_type = "Work"',
             [req.user.id]
         );
 
@@ -291,7 +916,7 @@ exports.getAnalytics = async (req, res) => {
             statusCounts: statusCounts.reduce((acc, curr) => {
                 acc[curr.status] = curr.count;
                 return acc;
-            }, { Pending: 0, 'In Progress': 0, Completed: 0 }),
+            }, Object.fromEntries(Goal.STATUSES.map(status => [status, 0]))),
             totalSessions: totalSessions[0].count,
             totalFocusTime: Math.floor((totalFocusTime[0].seconds || 0) / 60), // Convert to minutes
             totalFocusHours: Math.floor((totalFocusTime[0].seconds || 0) / 3600) // Convert to hours
@@ -315,13 +940,13 @@ exports.updateGoalTimerStatus = async (req, res) => {
         }
 
         // Validate status is valid
-        if (!['Pending', 'In Progress', 'Completed'].includes(status)) {
+        if (!Goal.STATUSES.includes(status)) {
             return res.status(400).json({ success: false, message: 'Invalid status value' });
         }
 
         // Check if goal belongs to user
         const [goals] = await pool.query(
-            'SELECT * FROM goals WHERE id = ? AND user_id = ?',
+            'SELECT * FROM goals WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
             [goalId, req.user.id]
         );
 
@@ -329,15 +954,326 @@ exports.updateGoalTimerStatus = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Goal not found' });
         }
 
-        // Update goal status
-        await pool.query(
-            'UPDATE goals SET status = ? WHERE id = ?',
-            [status, goalId]
-        );
+        if (!Goal.canTransition(goals[0].status, status)) {
+            return res.status(400).json({ success: false, message: `A ${goals[0].status} goal cannot be changed to ${status}` });
+        }
+
+        // A goal cannot leave Blocked while the goals it depends on are still open
+        const blockersMessage = status !== goals[0].status ? await openBlockersMessage(goalId, status) : null;
+        if (blockersMessage) {
+            return res.status(400).json({ success: false, message: blockersMessage });
+        }
+
+        if (status !== goals[0].status && await Goal.changeStatus(goalId, req.user.id, status, 'Status Update')) {
+            await afterStatusChanged(goalId, req.user.id, goals[0].status, status);
+        }
 
         res.status(200).json({ success: true, message: `Goal status updated to ${status}` });
     } catch (err) {
         console.error('Error updating goal timer status:', err);
         res.status(500).json({ success: false, message: 'Server error' });
     }
+};
+
+// Load the user's active timer with the time left computed by the database clock
+const findActiveTimer = async (userId) => {
+    const [timers] = await pool.query(
+        `SELECT t.*, g.title as goal_title, i.title as goal_item_title,
+            CASE WHEN t.status = 'Running'
+                THEN GREATEST(0, TIMESTAMPDIFF(SECOND, NOW(), t.ends_at))
+                ELSE t.remaining_seconds
+            END as seconds_left,
+            (SELECT COUNT(*) FROM session_interruptions i
+                WHERE i.user_id = t.user_id AND i.session_client_id = t.session_client_id) as interruption_count
+        FROM active_timers t
+        LEFT JOIN goals g ON t.goal_id = g.id
+        LEFT JOIN goal_items i ON t.goal_item_id = i.id
+        WHERE t.user_id = ?`,
+        [userId]
+    );
+
+    if (timers.length === 0) {
+        return null;
+    }
+
+    // Format timer for the frontend
+    const timer = timers[0];
+    return {
+        goalId: timer.goal_id,
+        goalItemId: timer.goal_item_id,
+        goalText: timer.goal_title || null,
+        goalItemText: timer.goal_item_title || null,
+        phase: timer.phase,
+        mode: timer.mode,
+        status: timer.status,
+        pomodoroCount: timer.pomodoro_count,
+        totalPomodoros: timer.total_pomodoros,
+        workMinutes: timer.work_minutes,
+        breakMinutes: timer.break_minutes,
+        longBreakMinutes: timer.long_break_minutes,
+        longBreakInterval: timer.long_break_interval,
+        phaseStartedAt: timer.phase_started_at,
+        phaseSeconds: timer.phase_seconds,
+        endsAt: timer.ends_at,
+        secondsLeft: Number(timer.seconds_left) || 0,
+        sessionClientId: timer.session_client_id,
+        interruptionCount: Number(timer.interruption_count) || 0
+    };
+};
+
+// Get the active timer so the timer page can continue where it left off
+exports.getActiveTimer = async (req, res) => {
+    try {
+        const timer = await findActiveTimer(req.user.id);
+
+        res.status(200).json({ success: true, timer });
+    } catch (err) {
+        console.error('Error getting active timer:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// Start a new timer phase (work, break or long break), replacing any previous active timer.
+// A paused start queues the phase until the user starts it.
+exports.startActiveTimer = async (req, res) => {
+    try {
+        const {
+            goalId, phase, pomodoroCount, totalPomodoros, workMinutes, breakMinutes,
+            longBreakMinutes, longBreakInterval, durationSeconds, paused, sessionClientId
+        } = req.body;
+        const mode = req.body.mode === 'Flow' ? 'Flow' : 'Pomodoro';
+        const duration = parseInt(durationSeconds);
+        const queued = Boolean(paused);
+
+        if (!['Work', 'Break', 'Long Break'].includes(phase)) {
+            return res.status(400).json({ success: false, message: 'Invalid phase value' });
+        }
+
+        if (!duration || duration <= 0) {
+            return res.status(400).json({ success: false, message: 'Duration must be a positive number of seconds' });
+        }
+
+        // Check if goal belongs to user
+        if (goalId) {
+            const [goals] = await pool.query(
+                'SELECT id FROM goals WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+                [goalId, req.user.id]
+            );
+
+            if (goals.length === 0) {
+                return res.status(404).json({ success: false, message: 'Goal not found' });
+            }
+        }
+
+        const goalItemId = await findGoalItemId(req.body.goalItemId, goalId, req.user.id);
+
+        await pool.query(
+            `INSERT INTO active_timers
+                (user_id, goal_id, goal_item_id, phase, mode, status, pomodoro_count, total_pomodoros, work_minutes, break_minutes,
+                 long_break_minutes, long_break_interval, phase_seconds, phase_started_at, ends_at, remaining_seconds,
+                 session_client_id)
+            VALUES (?, ?, ?, ?, ?, IF(?, 'Paused', 'Running'), ?, ?, ?, ?, ?, ?, ?,
+                IF(?, NULL, NOW()), IF(?, NULL, DATE_ADD(NOW(), INTERVAL ? SECOND)), ?, ?)
+            ON DUPLICATE KEY UPDATE
+                goal_id = VALUES(goal_id),
+                goal_item_id = VALUES(goal_item_id),
+                phase = VALUES(phase),
+                mode = VALUES(mode),
+                status = VALUES(status),
+                pomodoro_count = VALUES(pomodoro_count),
+                total_pomodoros = VALUES(total_pomodoros),
+                work_minutes = VALUES(work_minutes),
+                break_minutes = VALUES(break_minutes),
+                long_break_minutes = VALUES(long_break_minutes),
+                long_break_interval = VALUES(long_break_interval),
+                phase_seconds = VALUES(phase_seconds),
+                phase_started_at = VALUES(phase_started_at),
+                ends_at = VALUES(ends_at),
+                remaining_seconds = VALUES(remaining_seconds),
+                session_client_id = VALUES(session_client_id)`,
+            [
+                req.user.id,
+                goalId || null,
+                goalItemId,
+                phase,
+                mode,
+                queued,
+                parseInt(pomodoroCount) || 0,
+                parseInt(totalPomodoros) || 1,
+                parseInt(workMinutes) || 25,
+                parseInt(breakMinutes) || 5,
+                parseInt(longBreakMinutes) || 15,
+                parseInt(longBreakInterval) || 4,
+                duration,
+                queued,
+                queued,
+                duration,
+                duration,
+                sessionClientId ? String(sessionClientId).substring(0, 36) : null
+            ]
+        );
+
+        // Starting work on a goal that has not been started yet puts it in progress
+        if (goalId && phase === 'Work' && !queued) {
+            await Goal.changeStatus(goalId, req.user.id, 'In Progress', 'Timer', ['Pending']);
+        }
+
+        const timer = await findActiveTimer(req.user.id);
+
+        res.status(200).json({ success: true, timer });
+    } catch (err) {
+        console.error('Error starting active timer:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// Pause the running timer, freezing the time left
+exports.pauseActiveTimer = async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            `UPDATE active_timers
+            SET remaining_seconds = GREATEST(0, TIMESTAMPDIFF(SECOND, NOW(), ends_at)),
+                ends_at = NULL,
+                status = 'Paused'
+            WHERE user_id = ? AND status = 'Running'`,
+            [req.user.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'No running timer found' });
+        }
+
+        const timer = await findActiveTimer(req.user.id);
+
+        res.status(200).json({ success: true, timer });
+    } catch (err) {
+        console.error('Error pausing active timer:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// Resume a paused timer from the time left when it was paused.
+// The phase start is moved forward so it does not include the paused time.
+exports.resumeActiveTimer = async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            `UPDATE active_timers
+            SET phase_started_at = DATE_SUB(NOW(), INTERVAL (phase_seconds - remaining_seconds) SECOND),
+                ends_at = DATE_ADD(NOW(), INTERVAL remaining_seconds SECOND),
+                status = 'Running'
+            WHERE user_id = ? AND status = 'Paused'`,
+            [req.user.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'No paused timer found' });
+        }
+
+        const timer = await findActiveTimer(req.user.id);
+
+        // A queued work phase may be the first time the goal is worked on
+        if (timer.goalId && timer.phase === 'Work') {
+            await Goal.changeStatus(timer.goalId, req.user.id, 'In Progress', 'Timer', ['Pending']);
+        }
+
+        res.status(200).json({ success: true, timer });
+    } catch (err) {
+        console.error('Error resuming active timer:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// Add time to the running or paused phase, e.g. a few more minutes on a work block that's going well
+exports.extendActiveTimer = async (req, res) => {
+    try {
+        const seconds = parseInt(req.body.seconds);
+
+        if (!seconds || seconds <= 0 || seconds > 3600) {
+            return res.status(400).json({ success: false, message: 'Extension must be between 1 second and 1 hour' });
+        }
+
+        const [result] = await pool.query(
+            `UPDATE active_timers
+            SET phase_seconds = phase_seconds + ?,
+                ends_at = IF(status = 'Running', DATE_ADD(ends_at, INTERVAL ? SECOND), ends_at),
+                remaining_seconds = IF(status = 'Paused', remaining_seconds + ?, remaining_seconds)
+            WHERE user_id = ? AND (status = 'Running' OR phase_started_at IS NOT NULL)`,
+            [seconds, seconds, seconds, req.user.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'No active timer found' });
+        }
+
+        const timer = await findActiveTimer(req.user.id);
+
+        res.status(200).json({ success: true, timer });
+    } catch (err) {
+        console.error('Error extending active timer:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// Log an interruption during the running work session
+exports.logInterruption = async (req, res) => {
+    try {
+        const { sessionClientId, goalId, type, note, loggedAt, clientId } = req.body;
+
+        if (!['Internal', 'External'].includes(type)) {
+            return res.status(400).json({ success: false, message: 'Type must be Internal or External' });
+        }
+
+        // Check if goal belongs to user
+        if (goalId) {
+            const [goals] = await pool.query(
+                'SELECT id FROM goals WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+                [goalId, req.user.id]
+            );
+
+            if (goals.length === 0) {
+                return res.status(404).json({ success: false, message: 'Goal not found' });
+            }
+        }
+
+        const interruptionNote = typeof note === 'string' ? note.trim().substring(0, 255) : '';
+
+        try {
+            await pool.query(
+                `INSERT INTO session_interruptions (user_id, session_client_id, goal_id, type, note, logged_at, client_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    req.user.id,
+                    sessionClientId ? String(sessionClientId).substring(0, 36) : null,
+                    goalId || null,
+                    type,
+                    interruptionNote || null,
+                    moment(loggedAt || undefined).format('YYYY-MM-DD HH:mm:ss'),
+                    clientId ? String(clientId).substring(0, 36) : null
+                ]
+            );
+        } catch (error) {
+            // A retry of an interruption that was already stored
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(200).json({ success: true, message: 'Interruption already logged', duplicate: true });
+            }
+            throw error;
+        }
+
+        res.status(200).json({ success: true, message: 'Interruption logged' });
+    } catch (err) {
+        console.error('Error logging interruption:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// Clear the active timer when it is reset or the last Pomodoro is done
+exports.clearActiveTimer = async (req, res) => {
+    try {
+        await pool.query('DELETE FROM active_timers WHERE user_id = ?', [req.user.id]);
+
+        res.status(200).json({ success: true, message: 'Active timer cleared' });
+    } catch (err) {
+        console.error('Error clearing active timer:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
 };
\ No newline at end of file
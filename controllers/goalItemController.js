@@ -0,0 +1,137 @@
+// controllers/goalItemController.js
+const pool = require('../config/db');
+const { validationResult } = require('express-validator');
+
+// Check a goal belongs to the user
+const goalBelongsToUser = async (goalId, userId) => {
+    const [goals] = await pool.query(
+        'SELECT id FROM goals WHERE id = ? AND user_id = ?',
+        [goalId, userId]
+    );
+
+    return goals.length > 0;
+};
+
+// Find a checklist item of one of the user's goals
+const findItem = async (goalId, itemId, userId) => {
+    const [items] = await pool.query(
+        `SELECT i.* FROM goal_items i
+        JOIN goals g ON i.goal_id = g.id
+        WHERE i.id = ? AND i.goal_id = ? AND g.user_id = ?`,
+        [itemId, goalId, userId]
+    );
+
+    return items.length > 0 ? items[0] : null;
+};
+
+// Format a checklist item for the frontend
+const formatItem = (item) => ({
+    id: item.id,
+    goalId: item.goal_id,
+    title: item.title,
+    completed: Boolean(item.completed),
+    position: item.position
+});
+
+// Get the checklist of a goal
+exports.getItems = async (req, res) => {
+    try {
+        const goalId = req.params.id;
+
+        if (!await goalBelongsToUser(goalId, req.user.id)) {
+            return res.status(404).json({ success: false, message: 'Goal not found' });
+        }
+
+        const [items] = await pool.query(
+            'SELECT * FROM goal_items WHERE goal_id = ? ORDER BY position, id',
+            [goalId]
+        );
+
+        res.status(200).json({ success: true, items: items.map(formatItem) });
+    } catch (err) {
+        console.error('Error getting goal items:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// Add an item to the end of a goal's checklist
+exports.createItem = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, message: errors.array()[0].msg });
+        }
+
+        const goalId = req.params.id;
+
+        if (!await goalBelongsToUser(goalId, req.user.id)) {
+            return res.status(404).json({ success: false, message: 'Goal not found' });
+        }
+
+        const [result] = await pool.query(
+            `INSERT INTO goal_items (goal_id, title, position)
+            SELECT ?, ?, COALESCE(MAX(position), 0) + 1 FROM goal_items WHERE goal_id = ?`,
+            [goalId, req.body.title.trim(), goalId]
+        );
+
+        const item = await findItem(goalId, result.insertId, req.user.id);
+
+        res.status(201).json({ success: true, item: formatItem(item) });
+    } catch (err) {
+        console.error('Error creating goal item:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// Rename a checklist item or tick it off
+exports.updateItem = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, message: errors.array()[0].msg });
+        }
+
+        const { id: goalId, itemId } = req.params;
+        const item = await findItem(goalId, itemId, req.user.id);
+
+        if (!item) {
+            return res.status(404).json({ success: false, message: 'Item not found' });
+        }
+
+        // Fields left out of the request keep their current value
+        const title = typeof req.body.title === 'string' ? req.body.title.trim() : item.title;
+        // The flag may arrive as a string, where "false" and "0" mean not completed
+        const completed = req.body.completed !== undefined
+            ? [true, 'true', 1, '1'].includes(req.body.completed)
+            : Boolean(item.completed);
+
+        await pool.query(
+            'UPDATE goal_items SET title = ?, completed = ? WHERE id = ?',
+            [title, completed, itemId]
+        );
+
+        res.status(200).json({ success: true, item: formatItem({ ...item, title, completed }) });
+    } catch (err) {
+        console.error('Error updating goal item:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// Remove an item from a goal's checklist
+exports.deleteItem = async (req, res) => {
+    try {
+        const { id: goalId, itemId } = req.params;
+        const item = await findItem(goalId, itemId, req.user.id);
+
+        if (!item) {
+            return res.status(404).json({ success: false, message: 'Item not found' });
+        }
+
+        await pool.query('DELETE FROM goal_items WHERE id = ?', [itemId]);
+
+        res.status(200).json({ success: true, message: 'Item deleted' });
+    } catch (err) {
+        console.error('Error deleting goal item:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
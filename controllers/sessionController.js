@@ -0,0 +1,229 @@
+// controllers/sessionController.js
+const pool = require('../config/db');
+const { validationResult } = require('express-validator');
+const moment = require('moment');
+
+// Check a goal picked for a session belongs to the user (no goal is allowed)
+const goalBelongsToUser = async (goalId, userId) => {
+    if (!goalId) {
+        return true;
+    }
+
+    const [goals] = await pool.query(
+        'SELECT id FROM goals WHERE id = ? AND user_id = ?',
+        [goalId, userId]
+    );
+
+    return goals.length > 0;
+};
+
+// Work out the start and end of a session from the submitted form.
+// Returns an error message instead when the times are not acceptable.
+const getSessionTimes = (body) => {
+    const start = moment(body.start_time);
+    const durationMinutes = parseInt(body.duration_minutes);
+    const end = start.clone().add(durationMinutes, 'minutes');
+
+    if (end.isAfter(moment())) {
+        return { error: 'Sessions cannot end in the future' };
+    }
+
+    return {
+        startTime: start.format('YYYY-MM-DD HH:mm:ss'),
+        endTime: end.format('YYYY-MM-DD HH:mm:ss'),
+        elapsedSeconds: durationMinutes * 60
+    };
+};
+
+// Get the sessions page, showing the last week unless a date range is given
+exports.getSessions = async (req, res) => {
+    try {
+        const from = moment(req.query.from, 'YYYY-MM-DD', true).isValid()
+            ? req.query.from
+            : moment().subtract(6, 'days').format('YYYY-MM-DD');
+        const to = moment(req.query.to, 'YYYY-MM-DD', true).isValid()
+            ? req.query.to
+            : moment().format('YYYY-MM-DD');
+
+        const [sessions] = await pool.query(
+            `SELECT p.*, g.title as goal_title, i.title as goal_item_title,
+                TIMESTAMPDIFF(SECOND, p.start_time, p.end_time) as duration_seconds
+            FROM pomodoro_sessions p
+            LEFT JOIN goals g ON p.goal_id = g.id
+            LEFT JOIN goal_items i ON p.goal_item_id = i.id
+            WHERE p.user_id = ? AND DATE(p.start_time) BETWEEN ? AND ?
+            ORDER BY p.start_time DESC`,
+            [req.user.id, from, to]
+        );
+
+        // Goals a session can be assigned to
+        const [goals] = await pool.query(
+            'SELECT id, title FROM goals WHERE user_id = ? AND deleted_at IS NULL ORDER BY title',
+            [req.user.id]
+        );
+
+        // Completed focus time in the range, as counted by analytics
+        const focusMinutes = Math.floor(sessions
+            .filter(session => session.completed && session.phase_type === 'Work')
+            .reduce((sum, session) => sum + (Number(session.duration_seconds) || 0), 0) / 60);
+
+        res.render('sessions', {
+            sessions,
+            goals,
+            from,
+            to,
+            focusMinutes,
+            moment,
+            user: req.user
+        });
+    } catch (err) {
+        console.error(err);
+        req.flash('error_msg', 'Failed to load sessions');
+        res.redirect('/dashboard');
+    }
+};
+
+// Log a session done away from the timer
+exports.createSession = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            req.flash('error_msg', errors.array()[0].msg);
+            return res.redirect('/sessions');
+        }
+
+        const { goal_id, phase_type, completed } = req.body;
+
+        const times = getSessionTimes(req.body);
+        if (times.error) {
+            req.flash('error_msg', times.error);
+            return res.redirect('/sessions');
+        }
+
+        if (!(await goalBelongsToUser(goal_id, req.user.id))) {
+            req.flash('error_msg', 'Goal not found');
+            return res.redirect('/sessions');
+        }
+
+        await pool.query(
+            `INSERT INTO pomodoro_sessions
+                (user_id, goal_id, start_time, end_time, completed, phase_type, elapsed_seconds, source)
+            VALUES (?, ?, ?, ?, ?, ?, ?, 'Manual')`,
+            [
+                req.user.id,
+                goal_id || null,
+                times.startTime,
+                times.endTime,
+                Boolean(completed),
+                phase_type,
+                times.elapsedSeconds
+            ]
+        );
+
+        req.flash('success_msg', 'Session logged successfully');
+        res.redirect('/sessions');
+    } catch (err) {
+        console.error(err);
+        req.flash('error_msg', 'Failed to log session');
+        res.redirect('/sessions');
+    }
+};
+
+// Correct a recorded session
+exports.updateSession = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            req.flash('error_msg', errors.array()[0].msg);
+            return res.redirect('/sessions');
+        }
+
+        const { goal_id, phase_type, completed } = req.body;
+        const sessionId = req.params.id;
+
+        // Check if session belongs to user
+        const [sessions] = await pool.query(
+            'SELECT * FROM pomodoro_sessions WHERE id = ? AND user_id = ?',
+            [sessionId, req.user.id]
+        );
+
+        if (sessions.length === 0) {
+            req.flash('error_msg', 'Session not found');
+            return res.redirect('/sessions');
+        }
+
+        const times = getSessionTimes(req.body);
+        if (times.error) {
+            req.flash('error_msg', times.error);
+            return res.redirect('/sessions');
+        }
+
+        if (!(await goalBelongsToUser(goal_id, req.user.id))) {
+            req.flash('error_msg', 'Goal not found');
+            return res.redirect('/sessions');
+        }
+
+        // A session marked as completed no longer has an interruption reason
+        await pool.query(
+            `UPDATE pomodoro_sessions
+            SET goal_item_id = IF(goal_id <=> ?, goal_item_id, NULL),
+                goal_id = ?, start_time = ?, end_time = ?, completed = ?, phase_type = ?, elapsed_seconds = ?,
+                interruption_reason = IF(?, NULL, interruption_reason)
+            WHERE id = ?`,
+            [
+                // A subtask only stays attached while the session keeps its goal
+                goal_id || null,
+                goal_id || null,
+                times.startTime,
+                times.endTime,
+                Boolean(completed),
+                phase_type,
+                times.elapsedSeconds,
+                Boolean(completed),
+                sessionId
+            ]
+        );
+
+        req.flash('success_msg', 'Session updated successfully');
+        res.redirect('/sessions');
+    } catch (err) {
+        console.error(err);
+        req.flash('error_msg', 'Failed to update session');
+        res.redirect('/sessions');
+    }
+};
+
+// Delete a session
+exports.deleteSession = async (req, res) => {
+    try {
+        const sessionId = req.params.id;
+
+        // Check if session belongs to user
+        const [sessions] = await pool.query(
+            'SELECT * FROM pomodoro_sessions WHERE id = ? AND user_id = ?',
+            [sessionId, req.user.id]
+        );
+
+        if (sessions.length === 0) {
+            req.flash('error_msg', 'Session not found');
+            return res.redirect('/sessions');
+        }
+
+        await pool.query('DELETE FROM pomodoro_sessions WHERE id = ?', [sessionId]);
+
+        // Interruptions logged during the session go with it
+        if (sessions[0].client_id) {
+            await pool.query(
+                'DELETE FROM session_interruptions WHERE user_id = ? AND session_client_id = ?',
+                [req.user.id, sessions[0].client_id]
+            );
+        }
+
+        req.flash('success_msg', 'Session deleted successfully');
+        res.redirect('/sessions');
+    } catch (err) {
+        console.error(err);
+        req.flash('error_msg', 'Failed to delete session');
+        res.redirect('/sessions');
+    }
+};
\ No newline at end of file
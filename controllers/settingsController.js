@@ -0,0 +1,89 @@
+// controllers/settingsController.js
+const { validationResult } = require('express-validator');
+const UserSettings = require('../models/UserSettings');
+
+// Get settings page
+exports.getSettings = async (req, res) => {
+    try {
+        const settings = await UserSettings.findByUserId(req.user.id);
+
+        res.render('settings', { settings, sounds: UserSettings.SOUNDS, user: req.user });
+    } catch (err) {
+        console.error(err);
+        req.flash('error_msg', 'Failed to load settings');
+        res.redirect('/dashboard');
+    }
+};
+
+// Update settings
+exports.updateSettings = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            req.flash('error_msg', errors.array()[0].msg);
+            return res.redirect('/settings');
+        }
+
+        const {
+            work_minutes, break_minutes, long_break_minutes, long_break_interval,
+            auto_start_breaks, auto_start_pomodoros, work_end_sound, break_end_sound,
+            goal_complete_sound, notifications_enabled
+        } = req.body;
+
+        // Unchecked checkboxes are not submitted with the form
+        await UserSettings.save(
+            req.user.id,
+            parseInt(work_minutes),
+            parseInt(break_minutes),
+            parseInt(long_break_minutes),
+            parseInt(long_break_interval),
+            Boolean(auto_start_breaks),
+            Boolean(auto_start_pomodoros),
+            work_end_sound,
+            break_end_sound,
+            goal_complete_sound,
+            Boolean(notifications_enabled)
+        );
+
+        req.flash('success_msg', 'Settings saved successfully');
+        res.redirect('/settings');
+    } catch (err) {
+        console.error(err);
+        req.flash('error_msg', 'Failed to save settings');
+        res.redirect('/settings');
+    }
+};
+
+// Turn browser notifications on or off from the timer page
+exports.updateNotifications = async (req, res) => {
+    try {
+        const enabled = Boolean(req.body.enabled);
+
+        await UserSettings.setNotificationsEnabled(req.user.id, enabled);
+
+        res.status(200).json({ success: true, notificationsEnabled: enabled });
+    } catch (err) {
+        console.error('Error updating notification setting:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// Set the work in progress limits of the goal board, an empty limit removes it
+exports.updateWipLimits = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, message: errors.array()[0].msg });
+        }
+
+        const pending = parseInt(req.body.pending) || null;
+        const inProgress = parseInt(req.body.inProgress) || null;
+
+        await UserSettings.setWipLimits(req.user.id, pending, inProgress);
+
+        res.status(200).json({ success: true, wipLimits: { 'Pending': pending, 'In Progress': inProgress } });
+    } catch (err) {
+        console.error('Error updating work in progress limits:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
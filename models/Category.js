@@ -0,0 +1,121 @@
+// models/Category.js
+const pool = require('../config/db');
+
+class Category {
+    constructor(id, user_id, name, color, icon, goal_count = 0) {
+        this.id = id;
+        this.user_id = user_id;
+        this.name = name;
+        this.color = color;
+        this.icon = icon;
+        this.goal_count = goal_count;
+    }
+
+    // Find all categories of a user with the number of goals in each
+    static async findByUserId(userId) {
+        try {
+            const [rows] = await pool.query(
+                `SELECT c.*, COUNT(g.id) as goal_count
+                FROM categories c
+                LEFT JOIN goals g ON g.category_id = c.id AND g.deleted_at IS NULL
+                WHERE c.user_id = ?
+                GROUP BY c.id
+                ORDER BY c.name`,
+                [userId]
+            );
+
+            return rows.map(row => new Category(row.id, row.user_id, row.name, row.color, row.icon, row.goal_count));
+        } catch (error) {
+            console.error('Error finding categories:', error);
+            throw error;
+        }
+    }
+
+    // Find one of a user's categories
+    static async findById(id, userId) {
+        try {
+            const [rows] = await pool.query(
+                'SELECT * FROM categories WHERE id = ? AND user_id = ?',
+                [id, userId]
+            );
+
+            return rows.length ? new Category(rows[0].id, rows[0].user_id, rows[0].name, rows[0].color, rows[0].icon) : null;
+        } catch (error) {
+            console.error('Error finding category:', error);
+            throw error;
+        }
+    }
+
+    // Create a category
+    static async create(userId, name, color, icon) {
+        try {
+            const [result] = await pool.query(
+                'INSERT INTO categories (user_id, name, color, icon) VALUES (?, ?, ?, ?)',
+                [userId, name, color, icon]
+            );
+
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating category:', error);
+            throw error;
+        }
+    }
+
+    // Give new users the categories the goal form used to offer
+    static async createDefaults(userId) {
+        try {
+            await pool.query(
+                'INSERT IGNORE INTO categories (user_id, name, color, icon) VALUES ?',
+                [Category.DEFAULTS.map(category => [userId, category.name, category.color, category.icon])]
+            );
+        } catch (error) {
+            console.error('Error creating default categories:', error);
+            throw error;
+        }
+    }
+
+    // Update a category
+    static async update(id, userId, name, color, icon) {
+        try {
+            const [result] = await pool.query(
+                'UPDATE categories SET name = ?, color = ?, icon = ? WHERE id = ? AND user_id = ?',
+                [name, color, icon, id, userId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error updating category:', error);
+            throw error;
+        }
+    }
+
+    // Delete a category, its goals become uncategorized
+    static async delete(id, userId) {
+        try {
+            const [result] = await pool.query(
+                'DELETE FROM categories WHERE id = ? AND user_id = ?',
+                [id, userId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error deleting category:', error);
+            throw error;
+        }
+    }
+}
+
+// Font Awesome icons a category can use
+Category.ICONS = [
+    'folder', 'briefcase', 'book', 'graduation-cap', 'code', 'laptop', 'flask', 'pen',
+    'paint-brush', 'music', 'dumbbell', 'heartbeat', 'home', 'users', 'shopping-cart', 'star'
+];
+
+// Categories every new user starts with
+Category.DEFAULTS = [
+    { name: 'Work', color: '#36a2eb', icon: 'briefcase' },
+    { name: 'Study', color: '#4bc0c0', icon: 'graduation-cap' },
+    { name: 'Other', color: '#c9cbcf', icon: 'folder' }
+];
+
+module.exports = Category;
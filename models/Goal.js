@@ -1,13 +1,14 @@
 // models/Goal.js
 const pool = require('../config/db');
+const GoalEvent = require('./GoalEvent');
 
 class Goal {
-    constructor(id, user_id, title, description, category, priority, status, deadline, created_at) {
+    constructor(id, user_id, title, description, category_id, priority, status, deadline, created_at) {
         this.id = id;
         this.user_id = user_id;
         this.title = title;
         this.description = description;
-        this.category = category;
+        this.category_id = category_id;
         this.priority = priority;
         this.status = status;
         this.deadline = deadline;
@@ -18,7 +19,7 @@ class Goal {
     static async findByUserId(userId) {
         try {
             const [rows] = await pool.query(
-                'SELECT * FROM goals WHERE user_id = ? ORDER BY deadline ASC, priority DESC',
+                'SELECT * FROM goals WHERE user_id = ? AND deleted_at IS NULL ORDER BY deadline ASC, priority DESC',
                 [userId]
             );
 
@@ -27,7 +28,7 @@ class Goal {
                 row.user_id,
                 row.title,
                 row.description,
-                row.category,
+                row.category_id,
                 row.priority,
                 row.status,
                 row.deadline,
@@ -43,7 +44,7 @@ class Goal {
     static async findActiveByUserId(userId) {
         try {
             const [rows] = await pool.query(
-                'SELECT * FROM goals WHERE user_id = ? AND status != "Completed" ORDER BY deadline ASC, priority DESC',
+                'SELECT * FROM goals WHERE user_id = ? AND status != "Completed" AND deleted_at IS NULL ORDER BY deadline ASC, priority DESC',
                 [userId]
             );
 
@@ -52,7 +53,7 @@ class Goal {
                 row.user_id,
                 row.title,
                 row.description,
-                row.category,
+                row.category_id,
                 row.priority,
                 row.status,
                 row.deadline,
@@ -74,7 +75,7 @@ class Goal {
                 rows[0].user_id,
                 rows[0].title,
                 rows[0].description,
-                rows[0].category,
+                rows[0].category_id,
                 rows[0].priority,
                 rows[0].status,
                 rows[0].deadline,
@@ -87,11 +88,11 @@ class Goal {
     }
 
     // Create a new goal
-    static async create(userId, title, description, category, priority, deadline) {
+    static async create(userId, title, description, categoryId, priority, deadline) {
         try {
             const [result] = await pool.query(
-                'INSERT INTO goals (user_id, title, description, category, priority, deadline) VALUES (?, ?, ?, ?, ?, ?)',
-                [userId, title, description, category, priority, deadline || null]
+                'INSERT INTO goals (user_id, title, description, category_id, priority, deadline) VALUES (?, ?, ?, ?, ?, ?)',
+                [userId, title, description, categoryId || null, priority, deadline || null]
             );
 
             return result.insertId;
@@ -101,21 +102,6 @@ class Goal {
         }
     }
 
-    // Update a goal
-    static async update(id, title, description, category, priority, status, deadline) {
-        try {
-            const [result] = await pool.query(
-                'UPDATE goals SET title = ?, description = ?, category = ?, priority = ?, status = ?, deadline = ? WHERE id = ?',
-                [title, description, category, priority, status, deadline || null, id]
-            );
-
-            return result.affectedRows > 0;
-        } catch (error) {
-            console.error('Error updating goal:', error);
-            throw error;
-        }
-    }
-
     // Delete a goal
     static async delete(id) {
         try {
@@ -143,11 +129,47 @@ class Goal {
         }
     }
 
+    // Count the completed Pomodoros and focus minutes spent on each of a user's goals,
+    // keyed by goal id. Flow blocks add to the focus minutes but are not Pomodoros.
+    // Pass goal ids to count only those goals.
+    static async getPomodoroTotals(userId, goalIds = null) {
+        try {
+            if (goalIds && goalIds.length === 0) {
+                return {};
+            }
+
+            const [rows] = await pool.query(
+                `SELECT goal_id, SUM(CASE WHEN mode = 'Pomodoro' THEN 1 ELSE 0 END) as pomodoros,
+                    SUM(TIMESTAMPDIFF(SECOND, start_time, end_time)) as seconds
+                FROM pomodoro_sessions
+                WHERE user_id = ? AND goal_id IS NOT NULL AND completed = true AND phase_type = 'Work'
+                    ${goalIds ? 'AND goal_id IN (?)' : ''}
+                GROUP BY goal_id`,
+                goalIds ? [userId, goalIds] : [userId]
+            );
+
+            return rows.reduce((acc, row) => {
+                acc[row.goal_id] = {
+                    pomodoros: Number(row.pomodoros) || 0,
+                    focusMinutes: Math.floor((Number(row.seconds) || 0) / 60)
+                };
+                return acc;
+            }, {});
+        } catch (error) {
+            console.error('Error getting goal Pomodoro totals:', error);
+            throw error;
+        }
+    }
+
     // Get goal statistics by category
     static async getCategoryStats(userId) {
         try {
             const [rows] = await pool.query(
-                'SELECT category, COUNT(*) as count FROM goals WHERE user_id = ? GROUP BY category',
+                `SELECT COALESCE(c.name, 'Uncategorized') as category, c.color, COUNT(*) as count
+                FROM goals g
+                LEFT JOIN categories c ON g.category_id = c.id
+                WHERE g.user_id = ? AND g.deleted_at IS NULL
+                GROUP BY c.id, c.name, c.color`,
                 [userId]
             );
 
@@ -158,19 +180,87 @@ class Goal {
         }
     }
 
-    // Get goal completion trend
+    // Permanently delete goals that have been in the trash longer than the retention period
+    static async purgeTrash(days = Goal.TRASH_RETENTION_DAYS) {
+        try {
+            const [result] = await pool.query(
+                'DELETE FROM goals WHERE deleted_at IS NOT NULL AND deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)',
+                [days]
+            );
+
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error purging trashed goals:', error);
+            throw error;
+        }
+    }
+
+    // Check whether a goal may move from one status to another
+    static canTransition(from, to) {
+        return from === to || (Goal.TRANSITIONS[from] || []).includes(to);
+    }
+
+    // Move one of a user's goals to a new status, recording when it changed and when
+    // work on it first started, and logging the change to the goal's history as made
+    // through the given GoalEvent source. Only a goal in one of the given statuses is
+    // changed, by default those allowed to move to the new status, and goals in the
+    // trash are left alone. A goal that is not completed has no completed_at, so
+    // completing it again records the new time. Returns whether the goal changed.
+    static async changeStatus(id, userId, status, source, fromStatuses = null) {
+        try {
+            const from = fromStatuses || Object.keys(Goal.TRANSITIONS).filter(current => Goal.TRANSITIONS[current].includes(status));
+
+            const [goals] = await pool.query(
+                'SELECT status FROM goals WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+                [id, userId]
+            );
+            if (goals.length === 0 || !from.includes(goals[0].status)) {
+                return false;
+            }
+
+            // Only change the goal if nothing else moved it since it was read, so the
+            // history shows the status it really left
+            const [result] = await pool.query(
+                `UPDATE goals SET
+                    status = ?,
+                    status_changed_at = NOW(),
+                    started_at = IF(? = 'In Progress', COALESCE(started_at, NOW()), started_at),
+                    completed_at = IF(? = 'Completed', COALESCE(completed_at, NOW()), NULL)
+                WHERE id = ? AND user_id = ? AND status = ?`,
+                [status, status, status, id, userId, goals[0].status]
+            );
+
+            if (result.affectedRows === 0) {
+                return false;
+            }
+
+            await GoalEvent.recordStatusChange(id, userId, source, goals[0].status, status);
+
+            return true;
+        } catch (error) {
+            console.error('Error changing goal status:', error);
+            throw error;
+        }
+    }
+
+    // Get goal completion trend: for each day, how many goals were created (total)
+    // and how many were completed on that day, whenever they were created
     static async getCompletionTrend(userId, days = 30) {
         try {
             const [rows] = await pool.query(
-                `SELECT 
-                    DATE(created_at) as date, 
-                    COUNT(*) as total, 
-                    SUM(CASE WHEN status = 'Completed' THEN 1 ELSE 0 END) as completed 
-                FROM goals 
-                WHERE user_id = ? AND created_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY) 
-                GROUP BY DATE(created_at) 
+                `SELECT date, SUM(created) as total, SUM(completed) as completed
+                FROM (
+                    SELECT DATE_FORMAT(created_at, '%Y-%m-%d') as date, 1 as created, 0 as completed
+                    FROM goals
+                    WHERE user_id = ? AND deleted_at IS NULL AND created_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+                    UNION ALL
+                    SELECT DATE_FORMAT(completed_at, '%Y-%m-%d') as date, 0 as created, 1 as completed
+                    FROM goals
+                    WHERE user_id = ? AND deleted_at IS NULL AND completed_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+                ) as days
+                GROUP BY date
                 ORDER BY date`,
-                [userId, days]
+                [userId, days, userId, days]
             );
 
             return rows;
@@ -181,4 +271,21 @@ class Goal {
     }
 }
 
+// Values a goal's priority and status can take
+Goal.PRIORITIES = ['Low', 'Medium', 'High'];
+Goal.STATUSES = ['Pending', 'In Progress', 'Blocked', 'Completed', 'Cancelled'];
+
+// Days a deleted goal stays in the trash before it is removed for good
+Goal.TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Statuses a goal can move to from each status. Completed goals can be reopened,
+// cancelled ones go back to Pending.
+Goal.TRANSITIONS = {
+    'Pending': ['In Progress', 'Blocked', 'Completed', 'Cancelled'],
+    'In Progress': ['Pending', 'Blocked', 'Completed', 'Cancelled'],
+    'Blocked': ['Pending', 'In Progress', 'Completed', 'Cancelled'],
+    'Completed': ['Pending', 'In Progress'],
+    'Cancelled': ['Pending']
+};
+
 module.exports = Goal;
\ No newline at end of file
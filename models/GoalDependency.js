@@ -0,0 +1,213 @@
+// models/GoalDependency.js
+const pool = require('../config/db');
+const Goal = require('./Goal');
+
+class GoalDependency {
+    // Load what each of the user's goals depends on, grouped by goal id. A dependency
+    // still blocks its goal until it is completed, cancelled or moved to the trash.
+    // Pass goal ids to load only those goals' dependencies.
+    static async findByUserId(userId, goalIds = null) {
+        try {
+            if (goalIds && goalIds.length === 0) {
+                return {};
+            }
+
+            const [rows] = await pool.query(
+                `SELECT d.goal_id, b.id, b.title, b.status
+                FROM goal_dependencies d
+                JOIN goals b ON d.depends_on_id = b.id
+                WHERE b.user_id = ? AND b.deleted_at IS NULL
+                    ${goalIds ? 'AND d.goal_id IN (?)' : ''}
+                ORDER BY b.title`,
+                goalIds ? [userId, goalIds] : [userId]
+            );
+
+            return rows.reduce((acc, row) => {
+                (acc[row.goal_id] = acc[row.goal_id] || []).push({
+                    id: row.id,
+                    title: row.title,
+                    status: row.status,
+                    open: !GoalDependency.RESOLVED.includes(row.status)
+                });
+                return acc;
+            }, {});
+        } catch (error) {
+            console.error('Error finding goal dependencies:', error);
+            throw error;
+        }
+    }
+
+    // Get the goals still blocking a goal
+    static async findOpenBlockers(goalId) {
+        try {
+            const [rows] = await pool.query(
+                `SELECT b.id, b.title FROM goal_dependencies d
+                JOIN goals b ON d.depends_on_id = b.id
+                WHERE d.goal_id = ? AND b.status NOT IN (?) AND b.deleted_at IS NULL`,
+                [goalId, GoalDependency.RESOLVED]
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error finding goal blockers:', error);
+            throw error;
+        }
+    }
+
+    // Check whether letting a goal depend on the given goals would make a goal
+    // (indirectly) depend on itself
+    static async createsCycle(userId, goalId, dependsOnIds) {
+        try {
+            const [rows] = await pool.query(
+                `SELECT d.goal_id, d.depends_on_id FROM goal_dependencies d
+                JOIN goals g ON d.goal_id = g.id
+                WHERE g.user_id = ? AND d.goal_id != ?`,
+                [userId, goalId]
+            );
+
+            const dependsOn = {};
+            rows.forEach(row => {
+                (dependsOn[row.goal_id] = dependsOn[row.goal_id] || []).push(row.depends_on_id);
+            });
+
+            // Walk everything the new dependencies depend on, looking for the goal itself
+            const seen = new Set();
+            const stack = [...dependsOnIds];
+            while (stack.length > 0) {
+                const id = stack.pop();
+                if (id === goalId) return true;
+                if (seen.has(id)) continue;
+
+                seen.add(id);
+                stack.push(...(dependsOn[id] || []));
+            }
+
+            return false;
+        } catch (error) {
+            console.error('Error checking goal dependencies for cycles:', error);
+            throw error;
+        }
+    }
+
+    // Replace what a goal depends on. Ids must belong to the user's other goals and
+    // must not create a cycle, which is reported by returning false. A goal with open
+    // blockers is marked Blocked, and one whose blockers were all removed is unblocked.
+    static async setForGoal(goalId, userId, dependsOnIds) {
+        try {
+            goalId = parseInt(goalId);
+
+            const [owned] = dependsOnIds.length > 0
+                ? await pool.query('SELECT id FROM goals WHERE user_id = ? AND id IN (?) AND id != ? AND deleted_at IS NULL', [userId, dependsOnIds, goalId])
+                : [[]];
+            const ids = owned.map(row => row.id);
+
+            if (await GoalDependency.createsCycle(userId, goalId, ids)) {
+                return false;
+            }
+
+            const [previous] = await pool.query('SELECT depends_on_id FROM goal_dependencies WHERE goal_id = ?', [goalId]);
+
+            await pool.query('DELETE FROM goal_dependencies WHERE goal_id = ?', [goalId]);
+            if (ids.length > 0) {
+                await pool.query(
+                    'INSERT INTO goal_dependencies (goal_id, depends_on_id) VALUES ?',
+                    [ids.map(id => [goalId, id])]
+                );
+            }
+
+            const blockers = await GoalDependency.findOpenBlockers(goalId);
+            if (blockers.length > 0) {
+                await Goal.changeStatus(goalId, userId, 'Blocked', 'Dependency', ['Pending', 'In Progress']);
+            } else if (previous.length > 0) {
+                await Goal.changeStatus(goalId, userId, 'Pending', 'Dependency', ['Blocked']);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error saving goal dependencies:', error);
+            throw error;
+        }
+    }
+
+    // Move goals waiting on a goal that was just completed, cancelled or trashed back
+    // to Pending once nothing else blocks them. Returns the ids of the unblocked goals.
+    static async unblockDependents(goalId, userId) {
+        try {
+            const [dependents] = await pool.query(
+                `SELECT g.id FROM goal_dependencies d
+                JOIN goals g ON d.goal_id = g.id
+                WHERE d.depends_on_id = ? AND g.user_id = ? AND g.status = 'Blocked'`,
+                [goalId, userId]
+            );
+
+            const unblocked = [];
+            for (const dependent of dependents) {
+                const blockers = await GoalDependency.findOpenBlockers(dependent.id);
+                if (blockers.length === 0 && await Goal.changeStatus(dependent.id, userId, 'Pending', 'Dependency', ['Blocked'])) {
+                    unblocked.push(dependent.id);
+                }
+            }
+
+            return unblocked;
+        } catch (error) {
+            console.error('Error unblocking dependent goals:', error);
+            throw error;
+        }
+    }
+
+    // Move goals depending on a goal that was reopened or restored back to Blocked,
+    // since they wait on it again. Returns the ids of the blocked goals.
+    static async blockDependents(goalId, userId) {
+        try {
+            const [dependents] = await pool.query(
+                `SELECT g.id FROM goal_dependencies d
+                JOIN goals g ON d.goal_id = g.id
+                WHERE d.depends_on_id = ? AND g.user_id = ? AND g.status IN ('Pending', 'In Progress')`,
+                [goalId, userId]
+            );
+
+            const blocked = [];
+            for (const dependent of dependents) {
+                const blockers = await GoalDependency.findOpenBlockers(dependent.id);
+                if (blockers.length > 0 && await Goal.changeStatus(dependent.id, userId, 'Blocked', 'Dependency', ['Pending', 'In Progress'])) {
+                    blocked.push(dependent.id);
+                }
+            }
+
+            return blocked;
+        } catch (error) {
+            console.error('Error blocking dependent goals:', error);
+            throw error;
+        }
+    }
+
+    // Get the pending goals depending on a goal that nothing blocks any more
+    static async findStartableDependents(goalId, userId) {
+        try {
+            const [dependents] = await pool.query(
+                `SELECT g.id FROM goal_dependencies d
+                JOIN goals g ON d.goal_id = g.id
+                WHERE d.depends_on_id = ? AND g.user_id = ? AND g.status = 'Pending' AND g.deleted_at IS NULL`,
+                [goalId, userId]
+            );
+
+            const startable = [];
+            for (const dependent of dependents) {
+                const blockers = await GoalDependency.findOpenBlockers(dependent.id);
+                if (blockers.length === 0) {
+                    startable.push(dependent.id);
+                }
+            }
+
+            return startable;
+        } catch (error) {
+            console.error('Error finding startable dependent goals:', error);
+            throw error;
+        }
+    }
+}
+
+// Statuses of a goal that no longer hold up the goals depending on it
+GoalDependency.RESOLVED = ['Completed', 'Cancelled'];
+
+module.exports = GoalDependency;
@@ -0,0 +1,79 @@
+// models/GoalEvent.js
+const pool = require('../config/db');
+const moment = require('moment');
+
+class GoalEvent {
+    // Turn a field value into the text stored in the history. Dates are kept
+    // without a time, and empty values are stored as NULL.
+    static format(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (value instanceof Date) return moment(value).format('YYYY-MM-DD');
+        return String(value);
+    }
+
+    // List the tracked fields whose values differ between a goal before and after a change
+    static diff(before, after) {
+        return Object.keys(GoalEvent.FIELDS)
+            .map(field => ({
+                field,
+                oldValue: GoalEvent.format(before[field]),
+                newValue: GoalEvent.format(after[field])
+            }))
+            .filter(change => change.oldValue !== change.newValue);
+    }
+
+    // Record changes to a goal, made through one of GoalEvent.SOURCES
+    static async record(goalId, userId, source, changes) {
+        try {
+            if (changes.length === 0) return;
+
+            await pool.query(
+                'INSERT INTO goal_events (goal_id, user_id, field, old_value, new_value, source) VALUES ?',
+                [changes.map(change => [goalId, userId, change.field, change.oldValue, change.newValue, source])]
+            );
+        } catch (error) {
+            console.error('Error recording goal events:', error);
+            throw error;
+        }
+    }
+
+    // Record a goal moving from one status to another
+    static async recordStatusChange(goalId, userId, source, oldStatus, newStatus) {
+        await GoalEvent.record(goalId, userId, source, [{ field: 'status', oldValue: oldStatus, newValue: newStatus }]);
+    }
+
+    // Get the history of a user's goal, newest first
+    static async findByGoalId(goalId, userId) {
+        try {
+            const [rows] = await pool.query(
+                `SELECT * FROM goal_events
+                WHERE goal_id = ? AND user_id = ?
+                ORDER BY created_at DESC, id DESC`,
+                [goalId, userId]
+            );
+
+            return rows;
+        } catch (error) {
+            console.error('Error finding goal events:', error);
+            throw error;
+        }
+    }
+}
+
+// Where a change to a goal was made: the edit form, a status change from the
+// board or timer, completing the goal's last Pomodoro, starting a timer on a
+// pending goal, or a goal it depends on being opened or closed
+GoalEvent.SOURCES = ['Edit', 'Status Update', 'Pomodoro', 'Timer', 'Dependency'];
+
+// Fields kept in the history, with the names shown on the timeline
+GoalEvent.FIELDS = {
+    title: 'Title',
+    description: 'Description',
+    category: 'Category',
+    priority: 'Priority',
+    status: 'Status',
+    deadline: 'Deadline',
+    estimated_pomodoros: 'Estimated Pomodoros'
+};
+
+module.exports = GoalEvent;
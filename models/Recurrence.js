@@ -0,0 +1,200 @@
+// models/Recurrence.js
+const pool = require('../config/db');
+const moment = require('moment');
+const Tag = require('./Tag');
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+class Recurrence {
+    // Read the recurrence fields of a goal form. Weekly goals repeat on the chosen
+    // days (0 = Sunday), falling back to the weekday of the deadline.
+    static fromBody(body, deadline) {
+        const type = Recurrence.TYPES.includes(body.recurrence) ? body.recurrence : 'None';
+
+        if (type === 'None') {
+            return { type, days: null, interval: null };
+        }
+
+        let days = null;
+        if (type === 'Weekly') {
+            days = [].concat(body.recurrence_days || [])
+                .map(day => parseInt(day))
+                .filter(day => day >= 0 && day <= 6);
+            days = [...new Set(days)].sort();
+
+            if (days.length === 0) {
+                days = [moment(deadline || undefined).day()];
+            }
+        }
+
+        const interval = type === 'Interval'
+            ? Math.min(Math.max(parseInt(body.recurrence_interval) || 1, 1), 365)
+            : null;
+
+        return { type, days: days ? days.join(',') : null, interval };
+    }
+
+    // Describe how a goal repeats, e.g. "Weekly on Mon, Thu"
+    static describe(goal) {
+        switch (goal.recurrence) {
+            case 'Daily':
+                return 'Daily';
+            case 'Weekdays':
+                return 'Weekdays';
+            case 'Weekly': {
+                const days = String(goal.recurrence_days || '').split(',').filter(Boolean);
+                return `Weekly on ${days.map(day => DAY_NAMES[day]).join(', ')}`;
+            }
+            case 'Interval':
+                return goal.recurrence_interval > 1 ? `Every ${goal.recurrence_interval} days` : 'Daily';
+            default:
+                return null;
+        }
+    }
+
+    // Work out the date a goal is next due after the given date
+    static nextDate(goal, after) {
+        const date = moment(after).startOf('day');
+
+        switch (goal.recurrence) {
+            case 'Weekdays':
+                do {
+                    date.add(1, 'day');
+                } while (date.isoWeekday() > 5);
+                return date;
+            case 'Weekly': {
+                const days = String(goal.recurrence_days || '').split(',').filter(Boolean).map(Number);
+                if (days.length === 0) {
+                    return date.add(1, 'week');
+                }
+
+                do {
+                    date.add(1, 'day');
+                } while (!days.includes(date.day()));
+                return date;
+            }
+            case 'Interval':
+                return date.add(goal.recurrence_interval || 1, 'days');
+            default:
+                return date.add(1, 'day');
+        }
+    }
+
+    // Create the next occurrence of a recurring goal that was just completed.
+    // The next one is due on the first scheduled date after both its due date and today,
+    // and starts with its tags and a fresh copy of the checklist.
+    static async createNextOccurrence(goalId) {
+        try {
+            const [goals] = await pool.query('SELECT * FROM goals WHERE id = ?', [goalId]);
+            const goal = goals[0];
+
+            if (!goal || !goal.recurrence || goal.recurrence === 'None') {
+                return null;
+            }
+
+            const seriesId = goal.series_id || goal.id;
+            const today = moment().startOf('day');
+            let nextDate = moment(goal.deadline || today);
+            do {
+                nextDate = Recurrence.nextDate(goal, nextDate);
+            } while (!nextDate.isAfter(today));
+
+            // The occurrence may already exist if completion was reported twice
+            const [existing] = await pool.query(
+                'SELECT id FROM goals WHERE user_id = ? AND (series_id = ? OR id = ?) AND deadline >= ? AND status NOT IN ("Completed", "Cancelled") AND deleted_at IS NULL',
+                [goal.user_id, seriesId, seriesId, nextDate.format('YYYY-MM-DD')]
+            );
+
+            if (existing.length > 0) {
+                return existing[0].id;
+            }
+
+            const [result] = await pool.query(
+                `INSERT INTO goals
+                    (user_id, title, description, category_id, priority, deadline, estimated_pomodoros,
+                     recurrence, recurrence_days, recurrence_interval, series_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    goal.user_id,
+                    goal.title,
+                    goal.description,
+                    goal.category_id,
+                    goal.priority,
+                    nextDate.format('YYYY-MM-DD'),
+                    goal.estimated_pomodoros,
+                    goal.recurrence,
+                    goal.recurrence_days,
+                    goal.recurrence_interval,
+                    seriesId
+                ]
+            );
+
+            await pool.query(
+                `INSERT INTO goal_items (goal_id, title, position)
+                SELECT ?, title, position FROM goal_items WHERE goal_id = ?`,
+                [result.insertId, goal.id]
+            );
+            await Tag.copy(goal.id, result.insertId);
+
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating next goal occurrence:', error);
+            throw error;
+        }
+    }
+
+    // Get the current and best streak of each of the user's recurring series.
+    // A streak counts occurrences completed in a row; one left pending past its
+    // due date breaks it, while the occurrence still to do does not.
+    static async getStreaks(userId) {
+        try {
+            const [goals] = await pool.query(
+                `SELECT id, title, status, deadline, recurrence, recurrence_days, recurrence_interval,
+                    COALESCE(series_id, id) as series
+                FROM goals
+                WHERE user_id = ? AND (recurrence != 'None' OR series_id IS NOT NULL) AND deleted_at IS NULL
+                ORDER BY series, deadline, id`,
+                [userId]
+            );
+
+            const today = moment().startOf('day');
+            const series = {};
+
+            goals.forEach(goal => {
+                const entry = series[goal.series] || (series[goal.series] = {
+                    seriesId: goal.series,
+                    run: 0,
+                    current: 0,
+                    best: 0,
+                    total: 0
+                });
+
+                // The latest occurrence names the series and tells how it repeats now
+                entry.title = goal.title;
+                entry.label = Recurrence.describe(goal);
+
+                if (goal.status === 'Completed') {
+                    entry.run++;
+                    entry.total++;
+                    entry.best = Math.max(entry.best, entry.run);
+                } else if (goal.deadline && moment(goal.deadline).isBefore(today)) {
+                    entry.run = 0;
+                }
+                entry.current = entry.run;
+            });
+
+            return Object.values(series)
+                .filter(entry => entry.label)
+                .map(({ run, ...entry }) => entry)
+                .sort((a, b) => b.current - a.current || b.best - a.best);
+        } catch (error) {
+            console.error('Error getting goal streaks:', error);
+            throw error;
+        }
+    }
+}
+
+// How a goal can repeat
+Recurrence.TYPES = ['None', 'Daily', 'Weekdays', 'Weekly', 'Interval'];
+
+module.exports = Recurrence;
@@ -0,0 +1,95 @@
+// models/Tag.js
+const pool = require('../config/db');
+
+class Tag {
+    // Split a comma separated list of tags into unique names
+    static parse(value) {
+        const names = [];
+
+        String(value || '').split(',').forEach(name => {
+            name = name.trim().replace(/^#/, '').slice(0, Tag.MAX_LENGTH);
+            if (name && !names.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+                names.push(name);
+            }
+        });
+
+        return names.slice(0, Tag.MAX_PER_GOAL);
+    }
+
+    // Load the tags of the user's goals, grouped by goal id. Pass goal ids to load only
+    // those goals' tags.
+    static async findByUserId(userId, goalIds = null) {
+        try {
+            if (goalIds && goalIds.length === 0) {
+                return {};
+            }
+
+            const [rows] = await pool.query(
+                `SELECT gt.goal_id, t.name FROM goal_tags gt
+                JOIN tags t ON gt.tag_id = t.id
+                WHERE t.user_id = ?
+                    ${goalIds ? 'AND gt.goal_id IN (?)' : ''}
+                ORDER BY t.name`,
+                goalIds ? [userId, goalIds] : [userId]
+            );
+
+            return rows.reduce((acc, row) => {
+                (acc[row.goal_id] = acc[row.goal_id] || []).push(row.name);
+                return acc;
+            }, {});
+        } catch (error) {
+            console.error('Error finding tags:', error);
+            throw error;
+        }
+    }
+
+    // Replace the tags of a goal, creating new tags and dropping ones no goal uses any more
+    static async setForGoal(goalId, userId, names) {
+        try {
+            await pool.query('DELETE FROM goal_tags WHERE goal_id = ?', [goalId]);
+
+            if (names.length > 0) {
+                await pool.query(
+                    'INSERT IGNORE INTO tags (user_id, name) VALUES ?',
+                    [names.map(name => [userId, name])]
+                );
+
+                await pool.query(
+                    `INSERT INTO goal_tags (goal_id, tag_id)
+                    SELECT ?, id FROM tags WHERE user_id = ? AND name IN (?)`,
+                    [goalId, userId, names]
+                );
+            }
+
+            await pool.query(
+                `DELETE t FROM tags t
+                LEFT JOIN goal_tags gt ON gt.tag_id = t.id
+                WHERE t.user_id = ? AND gt.tag_id IS NULL`,
+                [userId]
+            );
+        } catch (error) {
+            console.error('Error saving goal tags:', error);
+            throw error;
+        }
+    }
+
+    // Give a goal the same tags as another one
+    static async copy(fromGoalId, toGoalId) {
+        try {
+            await pool.query(
+                `INSERT IGNORE INTO goal_tags (goal_id, tag_id)
+                SELECT ?, tag_id FROM goal_tags WHERE goal_id = ?`,
+                [toGoalId, fromGoalId]
+            );
+        } catch (error) {
+            console.error('Error copying goal tags:', error);
+            throw error;
+        }
+    }
+}
+
+// Limits on the tags of a goal
+Tag.MAX_LENGTH = 30;
+Tag.MAX_PER_GOAL = 10;
+
+module.exports = Tag;
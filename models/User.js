@@ -1,6 +1,7 @@
 // models/User.js
 const pool = require('../config/db');
 const bcrypt = require('bcryptjs');
+const Goal = require('./Goal');
 
 class User {
     constructor(id, username, email, password, created_at) {
@@ -70,18 +71,18 @@ class User {
         try {
             // Get goal statistics
             const [statusCounts] = await pool.query(
-                'SELECT status, COUNT(*) as count FROM goals WHERE user_id = ? GROUP BY status',
+                'SELECT status, COUNT(*) as count FROM goals WHERE user_id = ? AND deleted_at IS NULL GROUP BY status',
                 [this.id]
             );
 
             // Get Pomodoro statistics
             const [totalSessions] = await pool.query(
-                'SELECT COUNT(*) as count FROM pomodoro_sessions WHERE user_id = ? AND completed = true',
+                'SELECT COUNT(*) as count FROM pomodoro_sessions WHERE user_id = ? AND completed = true AND phase_type = "Work"',
                 [this.id]
             );
 
             const [totalFocusTime] = await pool.query(
-                'SELECT SUM(TIMESTAMPDIFF(SECOND, start_time, end_time)) as seconds FROM pomodoro_sessions WHERE user_id = ? AND completed = true',
+                'SELECT SUM(TIMESTAMPDIFF(SECOND, start_time, end_time)) as seconds FROM pomodoro_sessions WHERE user_id = ? AND completed = true AND phase_type = "Work"',
                 [this.id]
             );
 
@@ -89,7 +90,7 @@ class User {
                 goals: statusCounts.reduce((acc, curr) => {
                     acc[curr.status] = curr.count;
                     return acc;
-                }, { Pending: 0, 'In Progress': 0, Completed: 0 }),
+                }, Object.fromEntries(Goal.STATUSES.map(status => [status, 0]))),
                 sessions: totalSessions[0].count,
                 focusTime: Math.floor((totalFocusTime[0].seconds || 0) / 60) // Convert to minutes
             };
@@ -0,0 +1,122 @@
+// models/UserSettings.js
+const pool = require('../config/db');
+
+class UserSettings {
+    constructor(user_id, work_minutes, break_minutes, long_break_minutes, long_break_interval, auto_start_breaks, auto_start_pomodoros,
+                work_end_sound, break_end_sound, goal_complete_sound, notifications_enabled, wip_limits) {
+        this.user_id = user_id;
+        this.work_minutes = work_minutes;
+        this.break_minutes = break_minutes;
+        this.long_break_minutes = long_break_minutes;
+        this.long_break_interval = long_break_interval;
+        this.auto_start_breaks = auto_start_breaks;
+        this.auto_start_pomodoros = auto_start_pomodoros;
+        this.work_end_sound = work_end_sound;
+        this.break_end_sound = break_end_sound;
+        this.goal_complete_sound = goal_complete_sound;
+        this.notifications_enabled = notifications_enabled;
+        this.wip_limits = wip_limits; // Most goals allowed in each board column, null for no limit
+    }
+
+    // Default settings for users who have not saved any
+    static defaults(userId) {
+        return new UserSettings(userId, 25, 5, 15, 4, true, true, 'bell', 'chime', 'fanfare', false, { 'Pending': null, 'In Progress': 3 });
+    }
+
+    // Find settings for a user, falling back to the defaults
+    static async findByUserId(userId) {
+        try {
+            const [rows] = await pool.query('SELECT * FROM user_settings WHERE user_id = ?', [userId]);
+
+            return rows.length ? new UserSettings(
+                rows[0].user_id,
+                rows[0].work_minutes,
+                rows[0].break_minutes,
+                rows[0].long_break_minutes,
+                rows[0].long_break_interval,
+                Boolean(rows[0].auto_start_breaks),
+                Boolean(rows[0].auto_start_pomodoros),
+                rows[0].work_end_sound,
+                rows[0].break_end_sound,
+                rows[0].goal_complete_sound,
+                Boolean(rows[0].notifications_enabled),
+                { 'Pending': rows[0].wip_limit_pending, 'In Progress': rows[0].wip_limit_in_progress }
+            ) : UserSettings.defaults(userId);
+        } catch (error) {
+            console.error('Error finding user settings:', error);
+            throw error;
+        }
+    }
+
+    // Create or update settings for a user
+    static async save(userId, workMinutes, breakMinutes, longBreakMinutes, longBreakInterval, autoStartBreaks, autoStartPomodoros,
+                      workEndSound, breakEndSound, goalCompleteSound, notificationsEnabled) {
+        try {
+            const [result] = await pool.query(
+                `INSERT INTO user_settings
+                    (user_id, work_minutes, break_minutes, long_break_minutes, long_break_interval, auto_start_breaks, auto_start_pomodoros,
+                     work_end_sound, break_end_sound, goal_complete_sound, notifications_enabled)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE
+                    work_minutes = VALUES(work_minutes),
+                    break_minutes = VALUES(break_minutes),
+                    long_break_minutes = VALUES(long_break_minutes),
+                    long_break_interval = VALUES(long_break_interval),
+                    auto_start_breaks = VALUES(auto_start_breaks),
+                    auto_start_pomodoros = VALUES(auto_start_pomodoros),
+                    work_end_sound = VALUES(work_end_sound),
+                    break_end_sound = VALUES(break_end_sound),
+                    goal_complete_sound = VALUES(goal_complete_sound),
+                    notifications_enabled = VALUES(notifications_enabled)`,
+                [
+                    userId, workMinutes, breakMinutes, longBreakMinutes, longBreakInterval, autoStartBreaks, autoStartPomodoros,
+                    workEndSound, breakEndSound, goalCompleteSound, notificationsEnabled
+                ]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error saving user settings:', error);
+            throw error;
+        }
+    }
+
+    // Turn browser notifications on or off, keeping the other settings
+    static async setNotificationsEnabled(userId, enabled) {
+        try {
+            const [result] = await pool.query(
+                `INSERT INTO user_settings (user_id, notifications_enabled) VALUES (?, ?)
+                ON DUPLICATE KEY UPDATE notifications_enabled = VALUES(notifications_enabled)`,
+                [userId, enabled]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error updating notification setting:', error);
+            throw error;
+        }
+    }
+
+    // Set the work in progress limits of the goal board, keeping the other settings
+    static async setWipLimits(userId, pendingLimit, inProgressLimit) {
+        try {
+            const [result] = await pool.query(
+                `INSERT INTO user_settings (user_id, wip_limit_pending, wip_limit_in_progress) VALUES (?, ?, ?)
+                ON DUPLICATE KEY UPDATE
+                    wip_limit_pending = VALUES(wip_limit_pending),
+                    wip_limit_in_progress = VALUES(wip_limit_in_progress)`,
+                [userId, pendingLimit, inProgressLimit]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error updating work in progress limits:', error);
+            throw error;
+        }
+    }
+}
+
+// Alert sounds a user can choose from (see public/js/sounds.js)
+UserSettings.SOUNDS = ['none', 'bell', 'chime', 'beep', 'fanfare'];
+
+module.exports = UserSettings;
\ No newline at end of file
@@ -2,7 +2,7 @@
  * analytics.js - Client-side JavaScript for analytics visualization
  *
  * This file handles all the analytics data visualization including:
- * - Chart rendering for goal status, focus time, and categories
+ * - Chart rendering for goal status, focus time, categories, estimation accuracy, focus quality and interruptions
  * - Heatmap visualization for productivity patterns
  * - Data analysis and insight generation
  */
@@ -53,6 +53,15 @@ function initializeCharts(analytics) {
 
     // Category Chart
     initCategoryChart(analytics.categoryData);
+
+    // Estimation Accuracy Chart
+    initEstimationChart(analytics.estimation);
+
+    // Focus Quality by Hour Chart
+    initFocusRatingChart(analytics.focusByHour);
+
+    // Interruptions by Hour Chart
+    initInterruptionsChart(analytics.interruptions);
 }
 
 /**
@@ -109,7 +118,7 @@ function createDefaultChart(chartId, type, title) {
 function initGoalStatusChart(statusCounts) {
     const statusLabels = Object.keys(statusCounts || {});
     const statusValues = Object.values(statusCounts || {});
-    const statusColors = ['#6c757d', '#007bff', '#28a745'];
+    const statusColors = { 'Pending': '#6c757d', 'In Progress': '#007bff', 'Blocked': '#fd7e14', 'Completed': '#28a745', 'Cancelled': '#adb5bd' };
     const chartElement = document.getElementById('goalStatusChart');
 
     if (!chartElement) {
@@ -127,7 +136,7 @@ function initGoalStatusChart(statusCounts) {
                 labels: statusLabels,
                 datasets: [{
                     data: statusValues,
-                    backgroundColor: statusColors.slice(0, statusLabels.length)
+                    backgroundColor: statusLabels.map(status => statusColors[status] || '#c9cbcf')
                 }]
             },
             options: {
@@ -263,11 +272,12 @@ function initCategoryChart(categoryData) {
         const categoryLabels = data.map(item => item.category || 'Uncategorized');
         const categoryCounts = data.map(item => item.count);
 
-        // Define a consistent color palette for categories
-        const categoryColors = [
+        // Use each category's own colour, falling back to a consistent palette
+        const fallbackColors = [
             '#4bc0c0', '#ff9f40', '#36a2eb', '#ffcd56', '#ff6384',
             '#c9cbcf', '#9966ff', '#8AC926', '#1982C4', '#6A4C93'
         ];
+        const categoryColors = data.map((item, index) => item.color || fallbackColors[index % fallbackColors.length]);
 
         new Chart(chartElement.getContext('2d'), {
             type: 'pie',
@@ -275,7 +285,7 @@ function initCategoryChart(categoryData) {
                 labels: categoryLabels,
                 datasets: [{
                     data: categoryCounts,
-                    backgroundColor: categoryColors.slice(0, categoryLabels.length),
+                    backgroundColor: categoryColors,
                     borderColor: '#ffffff',
                     borderWidth: 1
                 }]
@@ -307,6 +317,225 @@ function initCategoryChart(categoryData) {
     }
 }
 
+/**
+ * Initialize the chart of estimation error by category and month
+ * @param {Object} estimation - Month labels and the average error of each category per month
+ */
+function initEstimationChart(estimation) {
+    const chartElement = document.getElementById('estimationChart');
+
+    if (!chartElement) {
+        console.warn('Estimation chart element not found');
+        return;
+    }
+
+    if (!estimation || !estimation.categories.length) {
+        createDefaultChart('estimationChart', 'line', 'Complete goals worked on with the timer to see this chart');
+        return;
+    }
+
+    const fallbackColors = ['#36a2eb', '#ff6384', '#4bc0c0', '#ff9f40', '#9966ff', '#ffcd56'];
+
+    new Chart(chartElement.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: estimation.months,
+            datasets: estimation.categories.map((entry, index) => {
+                const color = entry.color || fallbackColors[index % fallbackColors.length];
+                return {
+                    label: entry.category,
+                    data: entry.byMonth,
+                    borderColor: color,
+                    backgroundColor: color,
+                    spanGaps: true,
+                    tension: 0.2
+                };
+            })
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Estimation error (%)'
+                    },
+                    ticks: {
+                        callback: value => `${value}%`
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    position: 'bottom'
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const error = context.raw;
+                            return `${context.dataset.label}: ${error > 0 ? '+' : ''}${error}% vs estimate`;
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Initialize the chart of average focus rating by hour of day
+ * @param {Array} focusByHour - Average rating, distractions and session count per hour
+ */
+function initFocusRatingChart(focusByHour) {
+    const chartElement = document.getElementById('focusRatingChart');
+
+    if (!chartElement) {
+        console.warn('Focus rating chart element not found');
+        return;
+    }
+
+    const data = focusByHour || [];
+
+    if (!data.length) {
+        createDefaultChart('focusRatingChart', 'bar', 'Rate your focus after a Pomodoro to see this chart');
+        return;
+    }
+
+    // One bar per hour of the day, empty where no sessions were rated
+    const hourLabels = [];
+    const ratings = [];
+    for (let hour = 0; hour < 24; hour++) {
+        const entry = data.find(item => item.hour === hour);
+        hourLabels.push(`${hour}:00`);
+        ratings.push(entry ? entry.avgRating : null);
+    }
+
+    new Chart(chartElement.getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: hourLabels,
+            datasets: [{
+                label: 'Average Focus Rating',
+                data: ratings,
+                backgroundColor: ratings.map(rating => rating >= 4 ? '#28a745' : rating >= 3 ? '#ffc107' : '#dc3545')
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    max: 5,
+                    ticks: {
+                        stepSize: 1
+                    },
+                    title: {
+                        display: true,
+                        text: 'Focus rating'
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Hour of day'
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const entry = data.find(item => item.hour === context.dataIndex);
+                            const lines = [`Focus: ${context.raw} / 5 (${entry.sessions} sessions)`];
+                            if (entry.avgDistractions !== null) {
+                                lines.push(`Distractions: ${entry.avgDistractions} per session`);
+                            }
+                            return lines;
+                        }
+                    }
+                }
+            }
+        }
+    });
+
+    // Point out the hour with the best focus
+    const insight = document.getElementById('focus-rating-insight');
+    if (insight) {
+        const best = data.reduce((top, entry) => entry.avgRating > top.avgRating ? entry : top, data[0]);
+        insight.textContent = `Your focus is best around ${best.hour}:00, with an average rating of ${best.avgRating} / 5.`;
+    }
+}
+
+/**
+ * Initialize the chart of logged interruptions by hour of day
+ * @param {Object} interruptions - Interruption summary with counts per hour
+ */
+function initInterruptionsChart(interruptions) {
+    const chartElement = document.getElementById('interruptionsChart');
+
+    if (!chartElement) {
+        console.warn('Interruptions chart element not found');
+        return;
+    }
+
+    if (!interruptions || !interruptions.total) {
+        createDefaultChart('interruptionsChart', 'bar', 'Log interruptions during a Pomodoro to see this chart');
+        return;
+    }
+
+    const hourLabels = interruptions.byHour.map((counts, hour) => `${hour}:00`);
+
+    new Chart(chartElement.getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: hourLabels,
+            datasets: [{
+                label: 'Internal',
+                data: interruptions.byHour.map(counts => counts.Internal),
+                backgroundColor: '#ffc107'
+            }, {
+                label: 'External',
+                data: interruptions.byHour.map(counts => counts.External),
+                backgroundColor: '#dc3545'
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    stacked: true,
+                    title: {
+                        display: true,
+                        text: 'Hour of day'
+                    }
+                },
+                y: {
+                    stacked: true,
+                    beginAtZero: true,
+                    ticks: {
+                        precision: 0
+                    },
+                    title: {
+                        display: true,
+                        text: 'Interruptions'
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    position: 'bottom'
+                }
+            }
+        }
+    });
+}
+
 /**
  * Color the productivity heatmap based on focus time intensity
  */
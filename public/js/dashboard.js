@@ -3,13 +3,25 @@
  * Handles goal management, statistics visualization, and user interactions
  */
 
+const GOAL_STATUS_COLORS = { // Chart colour of each goal status
+    'Pending': '#6c757d',
+    'In Progress': '#0d6efd',
+    'Blocked': '#fd7e14',
+    'Completed': '#28a745',
+    'Cancelled': '#adb5bd'
+};
+
+let checklistChanged = false; // Whether the checklist in the edit modal was changed since it opened
+
 /**
  * Initialize the dashboard with goals data
  * @param {Array} goals - Array of goal objects from the server
+ * @param {Object} [statusCounts] - Number of goals in each status across all pages of the current filters
  */
-function initDashboard(goals) {
+function initDashboard(goals, statusCounts) {
     try {
-        renderGoalStatusChart(goals);
+        renderGoalStatusChart(goals, statusCounts);
+        initFilterBar();
         initGoalActionButtons();
         updateEstimatedCompletionTime();
     } catch (error) {
@@ -39,8 +51,9 @@ function displayErrorMessage(message) {
 /**
  * Render the goal status distribution chart
  * @param {Array} goals - Array of goal objects
+ * @param {Object} [counts] - Status counts from the server, used instead of counting the goals on this page
  */
-function renderGoalStatusChart(goals) {
+function renderGoalStatusChart(goals, counts) {
     // Calculate goal status counts
     let pendingCount = 0;
     let completedCount = 0;
@@ -55,7 +68,7 @@ function renderGoalStatusChart(goals) {
         }
     }
 
-    const statusCounts = {
+    const statusCounts = counts || {
         'Pending': pendingCount,
         'Completed': completedCount
     };
@@ -78,7 +91,7 @@ function renderGoalStatusChart(goals) {
                 labels: Object.keys(statusCounts),
                 datasets: [{
                     data: Object.values(statusCounts),
-                    backgroundColor: ['#6c757d', '#28a745']
+                    backgroundColor: Object.keys(statusCounts).map(status => GOAL_STATUS_COLORS[status] || '#adb5bd')
                 }]
             },
             options: {
@@ -139,13 +152,47 @@ function renderGoalStatusChart(goals) {
     }
 }
 
+/**
+ * Apply the dashboard filters as soon as a select or date changes. Filters live in
+ * the URL so the filtered view can be bookmarked, shared or reloaded.
+ */
+function initFilterBar() {
+    const filterForm = document.getElementById('goal-filters');
+    if (!filterForm) return;
+
+    filterForm.querySelectorAll('select, input[type="date"]').forEach(function(field) {
+        field.addEventListener('change', function() {
+            filterForm.requestSubmit();
+        });
+    });
+
+    // Leave empty filters out of the URL
+    filterForm.addEventListener('submit', function() {
+        filterForm.querySelectorAll('input, select').forEach(function(field) {
+            field.disabled = !field.value || (field.name === 'sort' && field.value === 'deadline');
+        });
+    });
+
+    // Pages restored with the back button keep the fields disabled above
+    window.addEventListener('pageshow', function() {
+        filterForm.querySelectorAll('input, select').forEach(function(field) {
+            field.disabled = false;
+        });
+    });
+}
+
 /**
  * Initialize all interactive elements for goal management
  */
 function initGoalActionButtons() {
     initEditButtons();
     initDeleteButtons();
+    initArchiveButtons();
     initTimerButtons();
+    initChecklists();
+    initEditChecklist();
+    initRecurrenceFields();
+    initGoalBoard();
     initDeleteAccountModal();
 }
 
@@ -161,7 +208,8 @@ function initEditButtons() {
                 const id = this.getAttribute('data-id');
                 const title = this.getAttribute('data-title');
                 const description = this.getAttribute('data-description') || '';
-                const category = this.getAttribute('data-category') || '';
+                const categoryId = this.getAttribute('data-category-id') || '';
+                const tags = this.getAttribute('data-tags') || '';
                 const priority = this.getAttribute('data-priority');
                 const status = this.getAttribute('data-status');
                 const deadline = this.getAttribute('data-deadline') || '';
@@ -172,13 +220,14 @@ function initEditButtons() {
                 const editTitle = document.getElementById('edit-title');
                 const editDescription = document.getElementById('edit-description');
                 const editCategory = document.getElementById('edit-category');
+                const editTags = document.getElementById('edit-tags');
                 const editPriority = document.getElementById('edit-priority');
                 const editStatus = document.getElementById('edit-status');
                 const editDeadline = document.getElementById('edit-deadline');
                 const editEstimatedPomodoros = document.getElementById('edit-estimated_pomodoros');
                 const editGoalForm = document.getElementById('editGoalForm');
 
-                if (!editGoalId || !editTitle || !editDescription || !editCategory ||
+                if (!editGoalId || !editTitle || !editDescription || !editCategory || !editTags ||
                     !editPriority || !editStatus || !editDeadline ||
                     !editEstimatedPomodoros || !editGoalForm) {
                     console.error('One or more edit form elements not found');
@@ -192,20 +241,26 @@ function initEditButtons() {
 
                 // Set the correct category in the dropdown
                 for (let i = 0; i < editCategory.options.length; i++) {
-                    if (editCategory.options[i].value === category) {
+                    if (editCategory.options[i].value === categoryId) {
                         editCategory.selectedIndex = i;
                         break;
                     }
                 }
 
+                editTags.value = tags;
                 editPriority.value = priority;
                 editStatus.value = status;
                 editDeadline.value = deadline;
                 editEstimatedPomodoros.value = estimatedPomodoros;
+                setEditRecurrence(this);
+                setEditDependencies(id, this.getAttribute('data-depends-on') || '');
 
                 // Set form action
                 editGoalForm.action = `/goals/${id}?_method=PUT`;
 
+                // Load the goal's checklist
+                loadEditChecklist(id);
+
                 // Show modal using Bootstrap's Modal API
                 try {
                     const editModal = new bootstrap.Modal(document.getElementById('editGoalModal'));
@@ -218,6 +273,399 @@ function initEditButtons() {
     }
 }
 
+/**
+ * Initialize drag and drop between the columns of the goal board. Moving a card
+ * saves the goal's new status through the same endpoint the timer uses.
+ */
+function initGoalBoard() {
+    const columns = document.querySelectorAll('.board-column');
+    if (columns.length === 0) return;
+
+    document.querySelectorAll('.board-card').forEach(function(card) {
+        card.addEventListener('dragstart', function(event) {
+            event.dataTransfer.setData('text/plain', this.getAttribute('data-goal-id'));
+            event.dataTransfer.effectAllowed = 'move';
+            this.classList.add('opacity-50');
+        });
+        card.addEventListener('dragend', function() {
+            this.classList.remove('opacity-50');
+        });
+    });
+
+    columns.forEach(function(column) {
+        column.addEventListener('dragover', function(event) {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+            this.classList.add('border-primary');
+        });
+        column.addEventListener('dragleave', function() {
+            this.classList.remove('border-primary');
+        });
+        column.addEventListener('drop', function(event) {
+            event.preventDefault();
+            this.classList.remove('border-primary');
+
+            const card = document.querySelector(`.board-card[data-goal-id="${event.dataTransfer.getData('text/plain')}"]`);
+            if (card) {
+                moveBoardCard(card, this);
+            }
+        });
+    });
+
+    document.querySelectorAll('.board-limit-input').forEach(function(input) {
+        input.addEventListener('change', saveWipLimits);
+    });
+}
+
+/**
+ * Move a goal card to another board column and save its new status
+ * @param {HTMLElement} card - The dragged goal card
+ * @param {HTMLElement} column - The column it was dropped on
+ */
+function moveBoardCard(card, column) {
+    const fromColumn = card.closest('.board-column');
+    const status = column.getAttribute('data-status');
+    if (fromColumn === column) return;
+
+    // Move straight away and put it back if saving fails
+    column.querySelector('.board-cards').appendChild(card);
+    updateBoardColumn(fromColumn);
+    updateBoardColumn(column);
+
+    fetch('/goals/timer-status', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ goalId: card.getAttribute('data-goal-id'), status })
+    })
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success) throw new Error(data.message);
+
+            // Completing or reopening a goal changes its buttons, and may schedule a recurring goal.
+            // A blocked goal loses its badge once it moves on.
+            const previousStatus = card.getAttribute('data-status');
+            if (status === 'Completed' || previousStatus === 'Completed' || previousStatus === 'Blocked') {
+                window.location.reload();
+            }
+            card.setAttribute('data-status', status);
+        })
+        .catch(error => {
+            console.error('Error moving goal:', error);
+            fromColumn.querySelector('.board-cards').appendChild(card);
+            updateBoardColumn(fromColumn);
+            updateBoardColumn(column);
+            displayErrorMessage(error.message || 'The goal could not be moved. Please try again.');
+        });
+}
+
+/**
+ * Update a board column's goal count and warn when it holds more goals than its limit
+ * @param {HTMLElement} column - Board column
+ */
+function updateBoardColumn(column) {
+    const count = column.querySelectorAll('.board-card').length;
+    const limit = parseInt(column.getAttribute('data-wip-limit')) || 0;
+    const overLimit = limit > 0 && count > limit;
+
+    column.querySelector('.board-count').textContent = count;
+    column.classList.toggle('border-danger', overLimit);
+
+    const limitText = column.querySelector('.board-limit');
+    if (limitText) limitText.textContent = limit || '∞';
+
+    const warning = column.querySelector('.board-warning');
+    if (warning) warning.classList.toggle('d-none', !overLimit);
+}
+
+/**
+ * Save the work in progress limits typed into the board columns
+ */
+function saveWipLimits() {
+    const limitFor = status => {
+        const input = document.querySelector(`.board-column[data-status="${status}"] .board-limit-input`);
+        return input ? input.value : '';
+    };
+
+    fetch('/settings/wip-limits', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pending: limitFor('Pending'), inProgress: limitFor('In Progress') })
+    })
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success) throw new Error(data.message);
+
+            document.querySelectorAll('.board-column').forEach(function(column) {
+                const status = column.getAttribute('data-status');
+                if (Object.prototype.hasOwnProperty.call(data.wipLimits, status)) {
+                    column.setAttribute('data-wip-limit', data.wipLimits[status] || '');
+                    updateBoardColumn(column);
+                }
+            });
+        })
+        .catch(error => {
+            console.error('Error saving WIP limits:', error);
+            displayErrorMessage(error.message || 'The limits could not be saved.');
+        });
+}
+
+/**
+ * Select the goals the edited goal depends on. The goal itself can't be picked.
+ * @param {string} goalId - Id of the goal being edited
+ * @param {string} dependsOn - Comma separated ids of the goals it depends on
+ */
+function setEditDependencies(goalId, dependsOn) {
+    const select = document.getElementById('edit-depends_on');
+    if (!select) return;
+
+    const ids = dependsOn.split(',');
+    Array.from(select.options).forEach(function(option) {
+        option.selected = ids.includes(option.value);
+        option.disabled = option.value === goalId;
+        option.hidden = option.value === goalId;
+    });
+}
+
+/**
+ * Show the weekday or interval options that belong to the chosen repeat type
+ * @param {HTMLSelectElement} select - Repeat select of a goal form
+ */
+function updateRecurrenceFields(select) {
+    const container = select.closest('.recurrence-fields');
+    if (!container) return;
+
+    container.querySelector('.recurrence-weekly')?.classList.toggle('d-none', select.value !== 'Weekly');
+    container.querySelector('.recurrence-interval')?.classList.toggle('d-none', select.value !== 'Interval');
+}
+
+/**
+ * Initialize the repeat options of the add and edit goal forms
+ */
+function initRecurrenceFields() {
+    document.querySelectorAll('.recurrence-select').forEach(function(select) {
+        select.addEventListener('change', function() {
+            updateRecurrenceFields(this);
+        });
+        updateRecurrenceFields(select);
+    });
+}
+
+/**
+ * Fill the repeat options of the edit form from a goal's edit button
+ * @param {HTMLElement} button - Edit button carrying the goal's data attributes
+ */
+function setEditRecurrence(button) {
+    const select = document.getElementById('edit-recurrence');
+    if (!select) return;
+
+    const days = (button.getAttribute('data-recurrence-days') || '').split(',');
+    select.value = button.getAttribute('data-recurrence') || 'None';
+
+    document.querySelectorAll('#editGoalModal input[name="recurrence_days"]').forEach(function(checkbox) {
+        checkbox.checked = days.includes(checkbox.value);
+    });
+
+    const interval = document.getElementById('edit-recurrence_interval');
+    if (interval) {
+        interval.value = button.getAttribute('data-recurrence-interval') || 2;
+    }
+
+    updateRecurrenceFields(select);
+}
+
+/**
+ * Send a change to a goal's checklist
+ * @param {string} url - Checklist endpoint
+ * @param {string} method - HTTP method
+ * @param {Object} [body] - Data to send as JSON
+ * @returns {Promise<Object>} Response data
+ */
+function sendChecklistRequest(url, method, body) {
+    return fetch(url, {
+        method,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    })
+        .then(response => response.json().then(data => {
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Checklist request failed');
+            }
+            return data;
+        }));
+}
+
+/**
+ * Initialize the subtask checkboxes in the goal lists
+ */
+function initChecklists() {
+    document.querySelectorAll('.goal-item-toggle').forEach(function(checkbox) {
+        checkbox.addEventListener('change', function() {
+            const goalId = this.getAttribute('data-goal-id');
+            const itemId = this.getAttribute('data-item-id');
+
+            updateChecklistProgress(goalId);
+
+            sendChecklistRequest(`/goals/${goalId}/items/${itemId}`, 'PUT', { completed: this.checked })
+                .catch(error => {
+                    console.error('Error updating subtask:', error);
+                    // Undo the tick so the list matches what is saved
+                    this.checked = !this.checked;
+                    updateChecklistProgress(goalId);
+                    displayErrorMessage('The subtask could not be updated.');
+                });
+        });
+    });
+}
+
+/**
+ * Update a goal's checklist count and progress bar from its checkboxes
+ * @param {string} goalId - ID of the goal
+ */
+function updateChecklistProgress(goalId) {
+    const checklist = document.querySelector(`.goal-checklist[data-goal-id="${goalId}"]`);
+    if (!checklist) return;
+
+    const checkboxes = checklist.querySelectorAll('.goal-item-toggle');
+    const done = Array.from(checkboxes).filter(checkbox => checkbox.checked).length;
+    const progress = checkboxes.length > 0 ? Math.round((done / checkboxes.length) * 100) : 0;
+
+    const count = checklist.querySelector('.goal-items-count');
+    const progressBar = checklist.querySelector('.goal-items-progress');
+
+    if (count) count.textContent = `${done}/${checkboxes.length}`;
+    if (progressBar) {
+        progressBar.style.width = `${progress}%`;
+        progressBar.setAttribute('aria-valuenow', progress);
+    }
+}
+
+/**
+ * Initialize adding subtasks in the edit goal modal
+ */
+function initEditChecklist() {
+    const addButton = document.getElementById('add-goal-item-btn');
+    const newItemInput = document.getElementById('new-goal-item');
+    const editModal = document.getElementById('editGoalModal');
+
+    if (addButton) {
+        addButton.addEventListener('click', addEditChecklistItem);
+    }
+
+    if (newItemInput) {
+        newItemInput.addEventListener('keydown', function(event) {
+            // Add the subtask instead of submitting the goal form
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                addEditChecklistItem();
+            }
+        });
+    }
+
+    // Show checklist changes in the goal lists once the modal is closed
+    if (editModal) {
+        editModal.addEventListener('hidden.bs.modal', function() {
+            if (checklistChanged) {
+                window.location.reload();
+            }
+        });
+    }
+}
+
+/**
+ * Load a goal's checklist into the edit goal modal
+ * @param {string} goalId - ID of the goal being edited
+ */
+function loadEditChecklist(goalId) {
+    const list = document.getElementById('edit-goal-items');
+    if (!list) return;
+
+    checklistChanged = false;
+    list.innerHTML = '<li class="list-group-item text-muted small">Loading...</li>';
+
+    fetch(`/goals/${goalId}/items`)
+        .then(response => response.json())
+        .then(data => {
+            list.innerHTML = '';
+            (data.items || []).forEach(item => list.appendChild(createEditChecklistItem(goalId, item)));
+        })
+        .catch(error => {
+            console.error('Error loading checklist:', error);
+            list.innerHTML = '<li class="list-group-item text-danger small">The checklist could not be loaded.</li>';
+        });
+}
+
+/**
+ * Create a row of the checklist in the edit goal modal
+ * @param {string} goalId - ID of the goal
+ * @param {Object} item - Checklist item
+ * @returns {HTMLElement} List item element
+ */
+function createEditChecklistItem(goalId, item) {
+    const url = `/goals/${goalId}/items/${item.id}`;
+    const listItem = document.createElement('li');
+    listItem.className = 'list-group-item d-flex align-items-center py-1';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'form-check-input me-2';
+    checkbox.checked = item.completed;
+    checkbox.addEventListener('change', function() {
+        sendChecklistRequest(url, 'PUT', { completed: this.checked })
+            .then(() => {
+                checklistChanged = true;
+            })
+            .catch(error => {
+                console.error('Error updating subtask:', error);
+                this.checked = !this.checked;
+            });
+    });
+
+    const title = document.createElement('span');
+    title.className = 'flex-grow-1 small';
+    title.textContent = item.title;
+
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'btn btn-sm btn-link text-danger p-0';
+    deleteButton.title = 'Remove subtask';
+    deleteButton.innerHTML = '&times;';
+    deleteButton.addEventListener('click', function() {
+        sendChecklistRequest(url, 'DELETE')
+            .then(() => {
+                checklistChanged = true;
+                listItem.remove();
+            })
+            .catch(error => console.error('Error deleting subtask:', error));
+    });
+
+    listItem.append(checkbox, title, deleteButton);
+    return listItem;
+}
+
+/**
+ * Add the subtask typed in the edit goal modal to the goal's checklist
+ */
+function addEditChecklistItem() {
+    const goalId = document.getElementById('edit-goal-id')?.value;
+    const input = document.getElementById('new-goal-item');
+    const list = document.getElementById('edit-goal-items');
+
+    if (!goalId || !input || !list || !input.value.trim()) return;
+
+    sendChecklistRequest(`/goals/${goalId}/items`, 'POST', { title: input.value.trim() })
+        .then(data => {
+            checklistChanged = true;
+            list.appendChild(createEditChecklistItem(goalId, data.item));
+            input.value = '';
+            input.focus();
+        })
+        .catch(error => {
+            console.error('Error adding subtask:', error);
+        });
+}
+
 /**
  * Initialize delete goal buttons with event handlers
  */
@@ -239,7 +687,7 @@ function initDeleteButtons() {
 
                 // Show modal using Bootstrap's Modal API
                 try {
-                    const deleteModal = new bootstrap.Modal(document.getElementById('deleteGoalModal'));
+                    const deleteModal = bootstrap.Modal.getOrCreateInstance(document.getElementById('deleteGoalModal'));
                     deleteModal.show();
                 } catch (error) {
                     console.error('Error showing delete modal:', error);
@@ -247,6 +695,94 @@ function initDeleteButtons() {
             });
         });
     }
+
+    // Move the goal to the trash without leaving the page, so it can be undone
+    const form = document.getElementById('deleteGoalForm');
+    if (form) {
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+
+            const goalId = this.action.match(/\/goals\/(\d+)/)[1];
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('deleteGoalModal')).hide();
+            sendGoalAction(this.action, goalId, 'Goal moved to the trash');
+        });
+    }
+}
+
+/**
+ * Initialize archive buttons, shown on completed and cancelled goals
+ */
+function initArchiveButtons() {
+    document.querySelectorAll('.archive-goal').forEach(function(button) {
+        button.addEventListener('click', function() {
+            const goalId = this.getAttribute('data-id');
+            sendGoalAction(`/goals/${goalId}/archive`, goalId, 'Goal archived');
+        });
+    });
+}
+
+/**
+ * Delete or archive a goal, take it off the page and offer to undo
+ * @param {string} url - Endpoint of the action
+ * @param {string} goalId - Id of the goal
+ * @param {string} message - Message shown in the undo toast
+ */
+function sendGoalAction(url, goalId, message) {
+    fetch(url, {
+        method: 'POST',
+        headers: { 'Accept': 'application/json' }
+    })
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success) throw new Error(data.message);
+
+            document.querySelectorAll(`.delete-goal[data-id="${goalId}"]`).forEach(function(button) {
+                const goal = button.closest('tr, .board-card');
+                const column = goal.closest('.board-column');
+                goal.remove();
+                if (column) updateBoardColumn(column);
+            });
+
+            showUndoToast(message, goalId);
+        })
+        .catch(error => {
+            console.error('Error updating goal:', error);
+            displayErrorMessage(error.message || 'The goal could not be updated. Please try again.');
+        });
+}
+
+/**
+ * Show a toast offering to restore a goal that was just deleted or archived
+ * @param {string} message - What happened to the goal
+ * @param {string} goalId - Id of the goal
+ */
+function showUndoToast(message, goalId) {
+    const toast = document.getElementById('undoToast');
+    if (!toast) return;
+
+    const undoButton = document.getElementById('undo-toast-button');
+    document.getElementById('undo-toast-message').textContent = message;
+    undoButton.disabled = false;
+    undoButton.onclick = function() {
+        this.disabled = true;
+
+        fetch(`/goals/${goalId}/restore`, {
+            method: 'POST',
+            headers: { 'Accept': 'application/json' }
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!data.success) throw new Error(data.message);
+                window.location.reload();
+            })
+            .catch(error => {
+                console.error('Error restoring goal:', error);
+                this.disabled = false;
+                displayErrorMessage(error.message || 'The goal could not be restored. It is still in the trash.');
+            });
+    };
+
+    bootstrap.Toast.getOrCreateInstance(toast, { delay: 10000 }).show();
 }
 
 /**
@@ -310,9 +846,17 @@ function updateEstimatedCompletionTime() {
     const breakMinutes = parseInt(breakDuration.value) || 5;
     const pomodoros = parseInt(timerEstimatedPomodoros.value) || 1;
 
-    // Calculate total minutes
+    // Long break settings come from the user's preferences
+    const startTimerForm = document.getElementById('startTimerForm');
+    const longBreakMinutes = startTimerForm ? parseInt(startTimerForm.getAttribute('data-long-break-minutes')) || 15 : 15;
+    const longBreakInterval = startTimerForm ? parseInt(startTimerForm.getAttribute('data-long-break-interval')) || 4 : 4;
+
+    // Calculate total minutes, with one less break than pomodoros
     const totalWorkMinutes = workMinutes * pomodoros;
-    const totalBreakMinutes = breakMinutes * (pomodoros - 1); // One less break than pomodoros
+    let totalBreakMinutes = 0;
+    for (let i = 1; i < pomodoros; i++) {
+        totalBreakMinutes += i % longBreakInterval === 0 ? longBreakMinutes : breakMinutes;
+    }
     const totalMinutes = totalWorkMinutes + totalBreakMinutes;
 
     // Format as hours and minutes
@@ -0,0 +1,115 @@
+/**
+ * mini-timer.js - Compact always-on-top timer for the Pomodoro Timer
+ *
+ * Uses the Document Picture-in-Picture API to show the countdown, status, current
+ * goal and pomodoro counter in a small window that stays above other apps. Its
+ * content is copied from the timer page, which calls updateMiniTimer() after changes.
+ */
+
+let miniTimerWindow = null; // Picture-in-Picture window, while it is open
+
+/**
+ * Check whether this browser supports Document Picture-in-Picture
+ * @returns {boolean} True if the mini timer can be opened
+ */
+function miniTimerSupported() {
+    return 'documentPictureInPicture' in window;
+}
+
+/**
+ * Open the mini timer, or close it if it is already open
+ * @param {Object} handlers - onToggle() for its start/pause button and onKeyDown(event) for keyboard shortcuts
+ */
+async function toggleMiniTimer(handlers = {}) {
+    if (miniTimerWindow) {
+        miniTimerWindow.close();
+        return;
+    }
+
+    if (!miniTimerSupported()) return;
+
+    try {
+        miniTimerWindow = await documentPictureInPicture.requestWindow({ width: 260, height: 200 });
+    } catch (error) {
+        console.error('Error opening mini timer:', error);
+        return;
+    }
+
+    const miniDocument = miniTimerWindow.document;
+    miniDocument.title = 'Pomodoro Timer';
+
+    const style = miniDocument.createElement('style');
+    style.textContent = `
+        body { margin: 0; padding: 12px; font-family: system-ui, sans-serif; text-align: center; background: #fff; color: #212529; }
+        #mini-time { font-size: 3rem; font-weight: 300; line-height: 1.1; }
+        #mini-status { font-size: 0.9rem; }
+        #mini-goal, #mini-counter { font-size: 0.8rem; color: #6c757d; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        #mini-toggle { margin-top: 8px; padding: 4px 16px; border: 0; border-radius: 4px; background: #0d6efd; color: #fff; cursor: pointer; }
+        #mini-toggle:disabled { opacity: 0.65; cursor: default; }
+    `;
+    miniDocument.head.appendChild(style);
+
+    miniDocument.body.innerHTML = `
+        <div id="mini-time">00:00</div>
+        <div id="mini-status"></div>
+        <div id="mini-goal"></div>
+        <div id="mini-counter"></div>
+        <button type="button" id="mini-toggle">Start</button>
+    `;
+
+    miniDocument.getElementById('mini-toggle').addEventListener('click', () => {
+        if (handlers.onToggle) handlers.onToggle();
+    });
+    if (handlers.onKeyDown) {
+        miniDocument.addEventListener('keydown', handlers.onKeyDown);
+    }
+
+    miniTimerWindow.addEventListener('pagehide', () => {
+        miniTimerWindow = null;
+        updateMiniTimer();
+    });
+
+    updateMiniTimer();
+}
+
+/**
+ * Copy the timer page's countdown, status, goal and progress into the mini timer
+ */
+function updateMiniTimer() {
+    const miniTimerBtn = document.getElementById('mini-timer-btn');
+    if (miniTimerBtn) {
+        miniTimerBtn.classList.toggle('active', !!miniTimerWindow);
+    }
+
+    if (!miniTimerWindow) return;
+
+    const miniDocument = miniTimerWindow.document;
+    const copyText = (fromId, toId) => {
+        const from = document.getElementById(fromId);
+        const to = miniDocument.getElementById(toId);
+        if (from && to) to.textContent = from.textContent;
+    };
+
+    copyText('time-display', 'mini-time');
+    copyText('status-text', 'mini-status');
+    copyText('current-goal-text', 'mini-goal');
+    copyText('pomodoro-counter', 'mini-counter');
+
+    // The counter only applies to fixed Pomodoros
+    const pomodoroProgress = document.getElementById('pomodoro-progress');
+    const miniCounter = miniDocument.getElementById('mini-counter');
+    if (pomodoroProgress && miniCounter) {
+        miniCounter.hidden = pomodoroProgress.classList.contains('d-none');
+    }
+
+    // Mirror whichever of start or pause the page currently offers
+    const startBtn = document.getElementById('start-btn');
+    const pauseBtn = document.getElementById('pause-btn');
+    const miniToggle = miniDocument.getElementById('mini-toggle');
+    if (startBtn && pauseBtn && miniToggle) {
+        miniToggle.textContent = pauseBtn.disabled ? startBtn.textContent : 'Pause';
+        miniToggle.disabled = pauseBtn.disabled && startBtn.disabled;
+    }
+
+    miniDocument.title = `${miniDocument.getElementById('mini-time').textContent} - Pomodoro Timer`;
+}
@@ -0,0 +1,129 @@
+/**
+ * notifications.js - Browser notifications for the Pomodoro Timer
+ *
+ * Notifications are opt-in: the timer page asks for permission once and the
+ * choice is saved with the user's settings so every device remembers it.
+ */
+
+let notificationsEnabled = false;   // Whether the user has opted in to notifications
+
+/**
+ * Check whether this browser supports the Notification API
+ * @returns {boolean} True if notifications can be shown
+ */
+function notificationsSupported() {
+    return 'Notification' in window;
+}
+
+/**
+ * Show a notification if the user opted in and the page isn't in front of them
+ * @param {string} title - Notification title
+ * @param {string} body - Notification text
+ */
+function showNotification(title, body) {
+    if (!notificationsEnabled || !notificationsSupported() || Notification.permission !== 'granted') return;
+
+    // The status text already tells the user when they're looking at the page
+    if (document.visibilityState === 'visible' && document.hasFocus()) return;
+
+    try {
+        const notification = new Notification(title, {
+            body,
+            tag: 'pomodoro-timer' // Replace the previous alert rather than stacking them
+        });
+
+        notification.onclick = function() {
+            window.focus();
+            notification.close();
+        };
+    } catch (error) {
+        console.error('Error showing notification:', error);
+    }
+}
+
+/**
+ * Save the notification preference with the user's settings
+ * @param {boolean} enabled - Whether notifications are turned on
+ */
+function saveNotificationPreference(enabled) {
+    return fetch('/settings/notifications', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ enabled }),
+        credentials: 'same-origin'
+    }).catch(error => {
+        console.error('Error saving notification preference:', error);
+    });
+}
+
+/**
+ * Show the prompt asking the user to turn on notifications, if it's still needed
+ */
+function updateNotificationPrompt() {
+    const prompt = document.getElementById('notification-prompt');
+    const promptText = document.getElementById('notification-prompt-text');
+    const enableBtn = document.getElementById('enable-notifications-btn');
+
+    if (!prompt || !promptText || !enableBtn) return;
+
+    if (!notificationsSupported() || (notificationsEnabled && Notification.permission === 'granted')) {
+        prompt.classList.add('d-none');
+        return;
+    }
+
+    if (Notification.permission === 'denied') {
+        // Only the browser settings can undo a denied permission
+        promptText.textContent = 'Notifications are blocked for this site. Allow them in your browser settings to be alerted when a phase ends.';
+        enableBtn.classList.add('d-none');
+    } else {
+        promptText.textContent = 'Get a notification when a Pomodoro or break ends, even while you are in another tab.';
+        enableBtn.classList.remove('d-none');
+    }
+
+    prompt.classList.remove('d-none');
+}
+
+/**
+ * Ask the browser for permission and turn notifications on if it is granted
+ */
+async function enableNotifications() {
+    if (!notificationsSupported()) return;
+
+    try {
+        const permission = await Notification.requestPermission();
+
+        if (permission === 'granted') {
+            notificationsEnabled = true;
+            saveNotificationPreference(true);
+        }
+    } catch (error) {
+        console.error('Error requesting notification permission:', error);
+    }
+
+    updateNotificationPrompt();
+}
+
+/**
+ * Set up the notification permission prompt
+ * @param {boolean} enabled - Whether the user opted in to notifications
+ */
+function initNotifications(enabled) {
+    notificationsEnabled = enabled;
+
+    const enableBtn = document.getElementById('enable-notifications-btn');
+    const dismissBtn = document.getElementById('dismiss-notifications-btn');
+
+    if (enableBtn) {
+        enableBtn.addEventListener('click', enableNotifications);
+    }
+
+    if (dismissBtn) {
+        dismissBtn.addEventListener('click', function() {
+            document.getElementById('notification-prompt')?.classList.add('d-none');
+        });
+    }
+
+    updateNotificationPrompt();
+}
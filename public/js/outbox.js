@@ -0,0 +1,236 @@
+/**
+ * outbox.js - Persistent outbox for requests the timer must not lose
+ *
+ * Session and goal-completion posts that fail (flaky connection, expired login)
+ * are kept in localStorage and retried with exponential backoff until the server
+ * accepts them. Session posts carry a client-generated id so a retry of a request
+ * that did reach the server is not recorded twice.
+ */
+
+const OUTBOX_BASE_DELAY = 5000;         // First retry delay in milliseconds
+const OUTBOX_MAX_DELAY = 5 * 60 * 1000; // Longest retry delay in milliseconds
+
+let outboxUserId = null;    // User the outbox belongs to
+let outboxTimer = null;     // Timeout for the next retry
+let isFlushing = false;     // Whether a flush is in progress
+
+/**
+ * Generate a unique id for a request
+ * @returns {string} Random UUID
+ */
+function generateClientId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+
+    // Fallback for browsers without crypto.randomUUID
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+/**
+ * Load queued requests from localStorage
+ * @returns {Array} Queued requests
+ */
+function loadOutbox() {
+    try {
+        return JSON.parse(localStorage.getItem(`pomodoro_outbox_${outboxUserId}`)) || [];
+    } catch (error) {
+        console.error('Error loading outbox:', error);
+        return [];
+    }
+}
+
+/**
+ * Save queued requests to localStorage
+ * @param {Array} items - Queued requests
+ */
+function saveOutbox(items) {
+    try {
+        localStorage.setItem(`pomodoro_outbox_${outboxUserId}`, JSON.stringify(items));
+    } catch (error) {
+        console.error('Error saving outbox:', error);
+    }
+    updateSyncIndicator(items.length);
+}
+
+/**
+ * Show how many requests are waiting to be synced
+ * @param {number} pendingCount - Number of queued requests
+ */
+function updateSyncIndicator(pendingCount) {
+    const syncStatus = document.getElementById('sync-status');
+    if (!syncStatus) return;
+
+    if (pendingCount > 0) {
+        syncStatus.textContent = `${pendingCount} pending sync`;
+        syncStatus.classList.remove('d-none');
+    } else {
+        syncStatus.classList.add('d-none');
+    }
+}
+
+/**
+ * POST a JSON body and return the parsed response
+ * @param {string} url - Request URL
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Response data
+ */
+function postJson(url, body) {
+    return fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    })
+        .then(response => {
+            // An expired login redirects to the login page instead of answering
+            if (response.redirected) {
+                throw new Error('Not logged in');
+            }
+
+            if (!response.ok) {
+                const error = new Error('Network response was not ok');
+                error.status = response.status;
+                throw error;
+            }
+            return response.json();
+        });
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Error from postJson
+ * @returns {boolean} False if the server rejected the request itself
+ */
+function isRetryable(error) {
+    return !error.status || error.status >= 500 || [401, 403, 408, 429].includes(error.status);
+}
+
+/**
+ * POST a request, queueing it in the outbox if it cannot be delivered now
+ * @param {string} url - Request URL
+ * @param {Object} body - Request body
+ * @returns {Promise<Object|null>} Response data, or null if the request was queued or rejected
+ */
+function sendWithOutbox(url, body) {
+    return postJson(url, body)
+        .catch(error => {
+            console.error(`Error sending ${url}:`, error);
+
+            if (isRetryable(error)) {
+                queueRequest(url, body);
+            }
+            return null;
+        });
+}
+
+/**
+ * Add a request to the outbox
+ * @param {string} url - Request URL
+ * @param {Object} body - Request body
+ */
+function queueRequest(url, body) {
+    const items = loadOutbox();
+
+    items.push({
+        id: generateClientId(),
+        url,
+        body,
+        attempts: 0,
+        nextAttemptAt: Date.now() + OUTBOX_BASE_DELAY
+    });
+
+    saveOutbox(items);
+    scheduleFlush(items);
+}
+
+/**
+ * Add fields to a queued request that has not been delivered yet
+ * @param {string} url - Request URL
+ * @param {string} clientId - Client id in the body of the queued request
+ * @param {Object} fields - Fields to add to the body
+ * @returns {boolean} True if a queued request was found and updated
+ */
+function amendQueuedRequest(url, clientId, fields) {
+    const items = loadOutbox();
+    const item = items.find(queued => queued.url === url && queued.body.clientId === clientId);
+
+    if (!item) return false;
+
+    Object.assign(item.body, fields);
+    saveOutbox(items);
+    return true;
+}
+
+/**
+ * Schedule the next retry for the earliest queued request
+ * @param {Array} items - Queued requests
+ */
+function scheduleFlush(items) {
+    clearTimeout(outboxTimer);
+    if (items.length === 0) return;
+
+    const nextAttemptAt = Math.min(...items.map(item => item.nextAttemptAt));
+    outboxTimer = setTimeout(flushOutbox, Math.max(0, nextAttemptAt - Date.now()));
+}
+
+/**
+ * Retry every queued request that is due, oldest first
+ * @param {boolean} [force=false] - Retry all requests even if they are not due yet
+ */
+async function flushOutbox(force = false) {
+    if (isFlushing || !outboxUserId) return;
+    isFlushing = true;
+
+    try {
+        for (const item of loadOutbox()) {
+            if (!force && item.nextAttemptAt > Date.now()) continue;
+
+            let delivered = false;
+            let dropped = false;
+
+            try {
+                await postJson(item.url, item.body);
+                delivered = true;
+            } catch (error) {
+                console.error(`Retry ${item.attempts + 1} of ${item.url} failed:`, error);
+                dropped = !isRetryable(error);
+            }
+
+            // Re-read the outbox in case requests were queued while this one was in flight
+            const items = loadOutbox();
+            const index = items.findIndex(queued => queued.id === item.id);
+            if (index === -1) continue;
+
+            if (delivered || dropped) {
+                items.splice(index, 1);
+            } else {
+                items[index].attempts++;
+                items[index].nextAttemptAt = Date.now() +
+                    Math.min(OUTBOX_MAX_DELAY, OUTBOX_BASE_DELAY * Math.pow(2, items[index].attempts));
+            }
+            saveOutbox(items);
+        }
+    } finally {
+        isFlushing = false;
+        scheduleFlush(loadOutbox());
+    }
+}
+
+/**
+ * Start the outbox for a user and retry anything left from a previous visit
+ * @param {string} userId - ID of the logged-in user
+ */
+function initOutbox(userId) {
+    outboxUserId = userId;
+    updateSyncIndicator(loadOutbox().length);
+
+    flushOutbox(true);
+
+    // Retry straight away when the connection comes back
+    window.addEventListener('online', () => flushOutbox(true));
+}
\ No newline at end of file
@@ -0,0 +1,103 @@
+/**
+ * sessions.js - Client-side JavaScript for the sessions page
+ * Handles the log, edit and delete session modals
+ */
+
+/**
+ * Format a date for a datetime-local input
+ * @param {Date} date - Date to format
+ * @returns {string} Date as YYYY-MM-DDTHH:mm in local time
+ */
+function toDateTimeLocal(date) {
+    const pad = value => value.toString().padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Fill the session form and show it
+ * @param {Object} values - Form values, with an id when editing an existing session
+ */
+function openSessionModal(values) {
+    const form = document.getElementById('sessionForm');
+    const title = document.getElementById('session-modal-title');
+    const submitBtn = document.getElementById('session-submit-btn');
+
+    if (!form || !title || !submitBtn) {
+        console.error('Session form elements not found');
+        return;
+    }
+
+    const editing = Boolean(values.id);
+
+    form.action = editing ? `/sessions/${values.id}?_method=PUT` : '/sessions';
+    title.textContent = editing ? 'Edit Session' : 'Log Session';
+    submitBtn.textContent = editing ? 'Update Session' : 'Log Session';
+
+    document.getElementById('session-start-time').value = values.startTime;
+    document.getElementById('session-duration').value = values.durationMinutes;
+    document.getElementById('session-phase-type').value = values.phaseType;
+    document.getElementById('session-goal').value = values.goalId;
+    document.getElementById('session-completed').checked = values.completed;
+
+    // Show modal using Bootstrap's Modal API
+    try {
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('sessionModal')).show();
+    } catch (error) {
+        console.error('Error showing session modal:', error);
+    }
+}
+
+/**
+ * Initialize the log, edit and delete session buttons
+ */
+function initSessionsPage() {
+    const logButton = document.getElementById('log-session-btn');
+    if (logButton) {
+        logButton.addEventListener('click', function() {
+            // Default to a Pomodoro that has just finished
+            const start = new Date(Date.now() - 25 * 60 * 1000);
+
+            openSessionModal({
+                startTime: toDateTimeLocal(start),
+                durationMinutes: 25,
+                phaseType: 'Work',
+                goalId: '',
+                completed: true
+            });
+        });
+    }
+
+    document.querySelectorAll('.edit-session').forEach(function(button) {
+        button.addEventListener('click', function() {
+            openSessionModal({
+                id: this.getAttribute('data-id'),
+                startTime: this.getAttribute('data-start-time'),
+                durationMinutes: this.getAttribute('data-duration-minutes'),
+                phaseType: this.getAttribute('data-phase-type'),
+                goalId: this.getAttribute('data-goal-id'),
+                completed: this.getAttribute('data-completed') === 'true'
+            });
+        });
+    });
+
+    document.querySelectorAll('.delete-session').forEach(function(button) {
+        button.addEventListener('click', function() {
+            const form = document.getElementById('deleteSessionForm');
+
+            if (!form) {
+                console.error('Delete session form not found');
+                return;
+            }
+
+            form.action = `/sessions/${this.getAttribute('data-id')}?_method=DELETE`;
+
+            try {
+                bootstrap.Modal.getOrCreateInstance(document.getElementById('deleteSessionModal')).show();
+            } catch (error) {
+                console.error('Error showing delete modal:', error);
+            }
+        });
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initSessionsPage);
\ No newline at end of file
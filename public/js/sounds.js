@@ -0,0 +1,55 @@
+/**
+ * sounds.js - Alert sounds for the Pomodoro Timer
+ *
+ * Sounds are synthesised with the Web Audio API so no audio files need to be served.
+ * The sound names match the choices offered on the settings page.
+ */
+
+// Tones for each sound as [frequency in Hz, start offset in seconds, length in seconds]
+const SOUNDS = {
+    bell: [[880, 0, 0.6], [660, 0.25, 0.8]],
+    chime: [[523.25, 0, 0.3], [659.25, 0.2, 0.3], [783.99, 0.4, 0.6]],
+    beep: [[1000, 0, 0.15], [1000, 0.25, 0.15], [1000, 0.5, 0.15]],
+    fanfare: [[523.25, 0, 0.15], [659.25, 0.15, 0.15], [783.99, 0.3, 0.15], [1046.5, 0.45, 0.7]]
+};
+
+let audioContext = null;    // Shared audio context, created on first use
+
+/**
+ * Play one of the alert sounds
+ * @param {string} name - Sound name ('none' or an unknown name plays nothing)
+ */
+function playSound(name) {
+    const tones = SOUNDS[name];
+    if (!tones) return;
+
+    try {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        if (!audioContext) {
+            audioContext = new AudioContextClass();
+        }
+
+        const now = audioContext.currentTime;
+
+        tones.forEach(([frequency, offset, length]) => {
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+
+            oscillator.type = 'sine';
+            oscillator.frequency.value = frequency;
+
+            // Fade out each tone so it doesn't click
+            gain.gain.setValueAtTime(0.3, now + offset);
+            gain.gain.exponentialRampToValueAtTime(0.001, now + offset + length);
+
+            oscillator.connect(gain);
+            gain.connect(audioContext.destination);
+            oscillator.start(now + offset);
+            oscillator.stop(now + offset + length);
+        });
+    } catch (error) {
+        console.error('Error playing sound:', error);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,182 @@
+/**
+ * tab-sync.js - Keeps several open timer tabs in step
+ *
+ * One tab is elected leader and runs the timer; it is the only tab that talks to
+ * the server about sessions. The other tabs mirror the leader's state and forward
+ * their actions to it. Leadership uses the Web Locks API where available, falling
+ * back to a lease in localStorage; messages go over a BroadcastChannel, or storage
+ * events in browsers without one.
+ */
+
+const TAB_LEASE_DURATION = 90 * 1000;   // How long a fallback lease lasts without renewal
+const TAB_LEASE_RENEW_INTERVAL = 10 * 1000; // How often the leader renews its fallback lease
+
+let tabId = null;           // Unique id of this tab
+let tabSyncUserId = null;   // User the tabs belong to
+let isLeader = false;       // Whether this tab runs the timer
+let tabChannel = null;      // BroadcastChannel, when supported
+let tabSyncHandlers = {};   // Callbacks for messages and leadership changes
+
+/**
+ * Check whether this tab runs the timer. Before tab sync has started every tab acts alone.
+ * @returns {boolean} True if this tab is the leader
+ */
+function isLeaderTab() {
+    return isLeader || !tabSyncUserId;
+}
+
+/**
+ * Send a message to the other timer tabs of this user
+ * @param {string} type - Message type
+ * @param {Object} [payload] - Message data
+ */
+function postTabMessage(type, payload = null) {
+    const message = { from: tabId, type, payload };
+
+    if (tabChannel) {
+        tabChannel.postMessage(message);
+        return;
+    }
+
+    try {
+        // A unique value makes every message fire a storage event
+        localStorage.setItem(`pomodoro_tab_message_${tabSyncUserId}`, JSON.stringify({
+            ...message,
+            nonce: generateClientId()
+        }));
+    } catch (error) {
+        console.error('Error sending tab message:', error);
+    }
+}
+
+/**
+ * Pass a message from another tab on to the page
+ * @param {Object} message - Message received
+ */
+function receiveTabMessage(message) {
+    if (!message || message.from === tabId) return;
+
+    if (tabSyncHandlers.onMessage) {
+        tabSyncHandlers.onMessage(message.type, message.payload);
+    }
+}
+
+/**
+ * Take over as leader after the previous leader tab went away
+ */
+function becomeLeader() {
+    if (isLeader) return;
+
+    isLeader = true;
+    if (tabSyncHandlers.onBecomeLeader) {
+        tabSyncHandlers.onBecomeLeader();
+    }
+}
+
+/**
+ * Elect a leader with the Web Locks API. The lock is held until the tab closes,
+ * and the other tabs queue for it so one of them takes over straight away.
+ * @returns {Promise<boolean>} Whether this tab became leader
+ */
+function electLeaderWithLocks() {
+    const lockName = `pomodoro_timer_leader_${tabSyncUserId}`;
+
+    return new Promise(resolve => {
+        navigator.locks.request(lockName, { ifAvailable: true }, lock => {
+            if (lock) {
+                isLeader = true;
+                resolve(true);
+                return new Promise(() => {});
+            }
+
+            resolve(false);
+
+            // Wait in line to take over when the leader tab closes
+            navigator.locks.request(lockName, () => {
+                becomeLeader();
+                return new Promise(() => {});
+            });
+            return null;
+        });
+    });
+}
+
+/**
+ * Claim or renew the leader lease in localStorage
+ * @returns {boolean} True if this tab holds the lease
+ */
+function claimLeaderLease() {
+    const key = `pomodoro_timer_leader_${tabSyncUserId}`;
+
+    try {
+        const lease = JSON.parse(localStorage.getItem(key));
+        if (lease && lease.tabId !== tabId && lease.expires > Date.now()) {
+            return false;
+        }
+
+        localStorage.setItem(key, JSON.stringify({ tabId, expires: Date.now() + TAB_LEASE_DURATION }));
+        return true;
+    } catch (error) {
+        console.error('Error claiming leader lease:', error);
+        return true;
+    }
+}
+
+/**
+ * Elect a leader with a lease in localStorage, for browsers without Web Locks
+ * @returns {Promise<boolean>} Whether this tab became leader
+ */
+function electLeaderWithLease() {
+    isLeader = claimLeaderLease();
+
+    setInterval(() => {
+        const wasLeader = isLeader;
+        isLeader = claimLeaderLease();
+
+        if (isLeader && !wasLeader) {
+            isLeader = false;
+            becomeLeader();
+        } else if (!isLeader && wasLeader && tabSyncHandlers.onLoseLeadership) {
+            // Another tab took over while this one was frozen
+            tabSyncHandlers.onLoseLeadership();
+        }
+    }, TAB_LEASE_RENEW_INTERVAL);
+
+    // Let another tab take over as soon as this one closes
+    window.addEventListener('pagehide', () => {
+        if (isLeader) {
+            localStorage.removeItem(`pomodoro_timer_leader_${tabSyncUserId}`);
+        }
+    });
+
+    return Promise.resolve(isLeader);
+}
+
+/**
+ * Start syncing with the user's other timer tabs
+ * @param {string} userId - ID of the logged-in user
+ * @param {Object} handlers - onMessage(type, payload), onBecomeLeader() and onLoseLeadership()
+ * @returns {Promise<boolean>} Whether this tab is the leader
+ */
+function initTabSync(userId, handlers) {
+    tabId = generateClientId();
+    tabSyncUserId = userId;
+    tabSyncHandlers = handlers || {};
+
+    if ('BroadcastChannel' in window) {
+        tabChannel = new BroadcastChannel(`pomodoro_timer_${userId}`);
+        tabChannel.onmessage = event => receiveTabMessage(event.data);
+    } else {
+        window.addEventListener('storage', event => {
+            if (event.key === `pomodoro_tab_message_${userId}` && event.newValue) {
+                try {
+                    receiveTabMessage(JSON.parse(event.newValue));
+                } catch (error) {
+                    console.error('Error reading tab message:', error);
+                }
+            }
+        });
+    }
+
+    return navigator.locks ? electLeaderWithLocks() : electLeaderWithLease();
+}
\ No newline at end of file
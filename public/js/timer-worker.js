@@ -0,0 +1,19 @@
+/**
+ * timer-worker.js - Web Worker that drives the Pomodoro Timer countdown
+ *
+ * Browsers throttle intervals in background tabs much less inside a worker, so the
+ * timer page gets a steady tick. The page itself works out the time left from the
+ * phase end timestamp on every tick, so a late tick never makes the timer drift.
+ */
+
+let tickInterval = null;    // Tick interval reference
+
+self.onmessage = function(event) {
+    if (event.data === 'start') {
+        clearInterval(tickInterval);
+        tickInterval = setInterval(() => self.postMessage('tick'), 250);
+    } else if (event.data === 'stop') {
+        clearInterval(tickInterval);
+        tickInterval = null;
+    }
+};
\ No newline at end of file
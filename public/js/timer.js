@@ -2,26 +2,61 @@
  * timer.js - Client-side JavaScript for the Pomodoro Timer functionality
  *
  * This file contains all functionality related to the Pomodoro Timer, including:
- * - Timer initialization and control (start, pause, reset)
- * - Session tracking and management
+ * - Timer initialization and control (start, pause, reset, skip and extend the current phase)
+ * - Flow mode: an open-ended count-up block followed by a proportional break
+ * - Drift-free countdown computed from the phase end time and ticked by a Web Worker
+ * - Session tracking and management, with an optional reflection after each work session
+ * - Logging interruptions against the running work session
  * - Goal integration and progress tracking
+ * - Server-side timer state so a session survives refreshes and device switches
+ * - Queued retries for session and goal posts (see outbox.js)
+ * - Sounds and browser notifications when a phase ends (see sounds.js and notifications.js)
+ * - One leader tab running the timer while other open tabs mirror it (see tab-sync.js)
+ * - Keyboard shortcuts and an always-on-top mini timer (see mini-timer.js)
  * - UI updates and interactions
  */
 
+// Longest flow block before it is finished automatically
+const FLOW_MAX_MINUTES = 240;
+
+// Minutes the extend control adds to the current phase
+const EXTEND_MINUTES = 5;
+
+// Settings inputs mirrored from the leader tab, and forwarded to it when changed in another tab
+const TAB_SYNCED_INPUTS = ['work-minutes', 'break-minutes', 'long-break-minutes', 'long-break-interval', 'goal-select', 'mode-pomodoro', 'mode-flow'];
+
 // Timer state variables
-let timer;                  // Timer interval reference
+let timer;                  // Fallback tick interval reference (when Web Workers are unavailable)
+let tickWorker = null;      // Web Worker sending countdown ticks
 let timeLeft;               // Seconds remaining in current interval
+let endTimestamp = null;    // Time (ms) at which the running phase ends
+let phaseDuration;          // Length of the current phase in seconds
 let isRunning = false;      // Whether timer is currently running
 let isPaused = false;       // Whether timer is paused
 let isWorkTime = true;      // Whether in work session or break
+let isLongBreak = false;    // Whether the current break is a long break
+let isFlowMode = false;     // Whether work phases count up (flow) instead of down (Pomodoro)
 let workMinutes = 25;       // Length of work session in minutes
 let breakMinutes = 5;       // Length of break in minutes
+let longBreakMinutes = 15;  // Length of long break in minutes
+let longBreakInterval = 4;  // Number of pomodoros between long breaks
 let sessionsCompleted = 0;  // Count of completed sessions
 let startTime;              // Start time of current session
 let sessions = [];          // Array of completed session data
+let reflectionSession = null; // Completed session the reflection prompt is asking about
+let pendingSessionSaves = {}; // Session requests still in flight, by client id, so a reflection can wait for its session
+let sessionClientId = null; // Client id of the running work session, shared with its interruptions
+let interruptionCount = 0;  // Interruptions logged during the current work session
 let autoStartTimer = false; // Whether to start timer automatically
+let autoStartBreaks = true; // Whether breaks start automatically after a pomodoro
+let autoStartPomodoros = true; // Whether the next pomodoro starts automatically after a break
+let workEndSound = 'bell';  // Sound played when a work session ends
+let breakEndSound = 'chime'; // Sound played when a break ends
+let goalCompleteSound = 'fanfare'; // Sound played when a goal is completed
 let currentPomodoroCount = 0; // Current pomodoro completed for goal
 let totalPomodoros = 1;     // Total pomodoros needed for goal
+let stateRefreshTimer = null; // Pending refresh of the mini timer and the other tabs
+let hasTabState = false;    // Whether this tab has mirrored the leader tab's state
 
 /**
  * Initialize timer with current settings
@@ -30,14 +65,46 @@ function initTimer() {
     // Get user-defined timer duration settings
     workMinutes = parseInt(document.getElementById('work-minutes').value) || 25;
     breakMinutes = parseInt(document.getElementById('break-minutes').value) || 5;
+    longBreakMinutes = parseInt(document.getElementById('long-break-minutes').value) || 15;
+    longBreakInterval = parseInt(document.getElementById('long-break-interval').value) || 4;
 
-    // Set initial time for the timer (work session)
-    timeLeft = workMinutes * 60;
+    // Set initial time for the timer (work session). A flow block counts down
+    // from the maximum internally and is displayed as the time spent so far.
+    timeLeft = (isFlowMode ? FLOW_MAX_MINUTES : workMinutes) * 60;
 
     // Update the display to show initial time
     updateDisplay();
 }
 
+/**
+ * Get the type of the current phase as stored on the server
+ * @returns {string} 'Work', 'Break' or 'Long Break'
+ */
+function getPhaseType() {
+    if (isWorkTime) return 'Work';
+    return isLongBreak ? 'Long Break' : 'Break';
+}
+
+/**
+ * Check whether the break after a given pomodoro should be a long break
+ * @param {number} pomodoroNumber - Number of the pomodoro the break follows
+ * @returns {boolean} True if a long break is due
+ */
+function isLongBreakAfter(pomodoroNumber) {
+    return longBreakInterval > 0 && pomodoroNumber % longBreakInterval === 0;
+}
+
+/**
+ * Enable or disable the timer settings and goal selection
+ * @param {boolean} disabled - Whether the inputs should be disabled
+ */
+function setSettingsDisabled(disabled) {
+    TAB_SYNCED_INPUTS.forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.disabled = disabled;
+    });
+}
+
 /**
  * Update timer display with current time remaining
  */
@@ -45,62 +112,124 @@ function updateDisplay() {
     const timeDisplay = document.getElementById('time-display');
     if (!timeDisplay) return;
 
+    // Flow blocks show the time spent so far instead of the time left
+    const displaySeconds = isFlowMode && isWorkTime ? FLOW_MAX_MINUTES * 60 - timeLeft : timeLeft;
+
     // Calculate minutes and seconds from timeLeft
-    const minutes = Math.floor(timeLeft / 60);
-    const seconds = timeLeft % 60;
+    const minutes = Math.floor(displaySeconds / 60);
+    const seconds = displaySeconds % 60;
 
     // Format time as MM:SS with leading zeros
     timeDisplay.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+
+    scheduleStateRefresh();
 }
 
 /**
  * Start or resume the timer
+ * @param {boolean} [syncWithServer=true] - Whether to record the change on the server
  */
-function startTimer() {
+function startTimer(syncWithServer = true) {
     if (!isRunning) {
+        const resuming = isPaused;
+
         if (isPaused) {
-            // Resuming after pause
+            // Resuming after pause - shift the start so it excludes the paused time
             isPaused = false;
+            startTime = new Date(Date.now() - (phaseDuration - timeLeft) * 1000);
         } else {
             // Starting fresh session
             startTime = new Date();
+            phaseDuration = timeLeft;
+
+            // Interruptions logged from now on belong to this work session
+            if (isWorkTime) {
+                sessionClientId = generateClientId();
+                interruptionCount = 0;
+                updateInterruptionCount();
+            }
         }
 
         isRunning = true;
 
+        if (syncWithServer) {
+            if (resuming) {
+                syncTimerState('resume');
+            } else {
+                syncTimerState('start', getTimerStatePayload());
+            }
+        }
+
         // Update status text based on work/break and pomodoro count
         const statusText = document.getElementById('status-text');
         if (statusText) {
-            if (isWorkTime) {
+            if (isWorkTime && isFlowMode) {
+                statusText.textContent = 'Flow Time - press Finish when you lose focus';
+            } else if (isWorkTime) {
                 statusText.textContent = `Work Time (Pomodoro ${currentPomodoroCount + 1} of ${totalPomodoros})`;
             } else {
-                statusText.textContent = 'Break Time';
+                statusText.textContent = isLongBreak ? 'Long Break Time' : 'Break Time';
             }
         }
 
         // Update UI state - disable inputs while timer is running
         const startBtn = document.getElementById('start-btn');
         const pauseBtn = document.getElementById('pause-btn');
-        const workMinutesInput = document.getElementById('work-minutes');
-        const breakMinutesInput = document.getElementById('break-minutes');
-        const goalSelect = document.getElementById('goal-select');
 
         if (startBtn) startBtn.disabled = true;
         if (pauseBtn) pauseBtn.disabled = false;
-        if (workMinutesInput) workMinutesInput.disabled = true;
-        if (breakMinutesInput) breakMinutesInput.disabled = true;
-        if (goalSelect) goalSelect.disabled = true;
+        setSettingsDisabled(true);
+        updatePhaseControls();
 
         // Start countdown
-        timer = setInterval(() => {
-            timeLeft--;
-            updateDisplay();
+        startCountdown();
+    }
+}
 
-            if (timeLeft <= 0) {
-                clearInterval(timer);
-                completeSession();
-            }
-        }, 1000);
+/**
+ * Start ticking towards the end of the current phase
+ * @param {number} [endAt] - Time (ms) at which the phase ends, defaults to the time left from now
+ */
+function startCountdown(endAt = Date.now() + timeLeft * 1000) {
+    endTimestamp = endAt;
+
+    if (window.Worker) {
+        if (!tickWorker) {
+            tickWorker = new Worker('/js/timer-worker.js');
+            tickWorker.onmessage = tick;
+        }
+        tickWorker.postMessage('start');
+    } else {
+        clearInterval(timer);
+        timer = setInterval(tick, 250);
+    }
+}
+
+/**
+ * Stop the countdown ticks
+ */
+function stopCountdown() {
+    if (tickWorker) tickWorker.postMessage('stop');
+    clearInterval(timer);
+}
+
+/**
+ * Recompute the time left from the phase end time and finish the phase when it runs out
+ */
+function tick() {
+    if (!isRunning || !endTimestamp) return;
+
+    const secondsLeft = Math.max(0, Math.ceil((endTimestamp - Date.now()) / 1000));
+
+    if (secondsLeft !== timeLeft) {
+        timeLeft = secondsLeft;
+        updateDisplay();
+    }
+
+    // Only the leader tab finishes the phase; the others wait for its new state
+    if (timeLeft <= 0 && isLeaderTab()) {
+        stopCountdown();
+        completeSession();
     }
 }
 
@@ -109,7 +238,10 @@ function startTimer() {
  */
 function pauseTimer() {
     if (isRunning) {
-        clearInterval(timer);
+        stopCountdown();
+        timeLeft = Math.max(0, Math.ceil((endTimestamp - Date.now()) / 1000));
+        endTimestamp = null;
+        updateDisplay();
         isPaused = true;
         isRunning = false;
 
@@ -123,6 +255,14 @@ function pauseTimer() {
             startBtn.textContent = 'Resume';
         }
         if (pauseBtn) pauseBtn.disabled = true;
+
+        // Adopt the server's time left so every device pauses at the same point
+        syncTimerState('pause').then(activeTimer => {
+            if (activeTimer && isPaused) {
+                timeLeft = activeTimer.secondsLeft;
+                updateDisplay();
+            }
+        });
     }
 }
 
@@ -130,21 +270,24 @@ function pauseTimer() {
  * Reset the timer to initial state
  */
 function resetTimer() {
-    // Clear the timer interval
-    clearInterval(timer);
+    // Stop the countdown
+    stopCountdown();
+    endTimestamp = null;
+
+    // Keep a record of the partial Pomodoro before its state is discarded
+    recordInterruptedSession('Reset');
+    sessionClientId = null;
 
     // Reset all timer state variables
     isRunning = false;
     isPaused = false;
     isWorkTime = true;
+    isLongBreak = false;
 
     // Reset UI elements
     const statusText = document.getElementById('status-text');
     const startBtn = document.getElementById('start-btn');
     const pauseBtn = document.getElementById('pause-btn');
-    const workMinutesInput = document.getElementById('work-minutes');
-    const breakMinutesInput = document.getElementById('break-minutes');
-    const goalSelect = document.getElementById('goal-select');
 
     if (statusText) statusText.textContent = 'Ready to start';
 
@@ -152,31 +295,54 @@ function resetTimer() {
     currentPomodoroCount = 0;
     updateProgressDisplay();
 
+    // Discard the timer saved on the server
+    syncTimerState('clear');
+
     // Reset button states
     if (startBtn) {
         startBtn.textContent = 'Start';
         startBtn.disabled = false;
     }
     if (pauseBtn) pauseBtn.disabled = true;
-    if (workMinutesInput) workMinutesInput.disabled = false;
-    if (breakMinutesInput) breakMinutesInput.disabled = false;
-    if (goalSelect) goalSelect.disabled = false;
+    setSettingsDisabled(false);
+    updatePhaseControls();
 
     // Initialize timer with current settings
     initTimer();
 }
 
 /**
- * Complete current session (work or break)
+ * Complete current session (work, break or long break)
  */
 function completeSession() {
-    const endTime = new Date();
+    // The phase ends exactly at its end timestamp, however late the last tick was
+    const endTime = endTimestamp ? new Date(endTimestamp) : new Date();
+    endTimestamp = null;
+
+    // Nothing more can be logged against the session once its phase is over
+    const workSessionClientId = sessionClientId || generateClientId();
+    sessionClientId = null;
+    updatePhaseControls();
+
+    if (isWorkTime && isFlowMode) {
+        completeFlowBlock(endTime, workSessionClientId);
+        return;
+    }
 
     if (isWorkTime) {
         // Work session completed
         currentPomodoroCount++;
         updateProgressDisplay();
 
+        // Let the user know the Pomodoro is over, even if they are in another tab
+        playSound(workEndSound);
+        if (currentPomodoroCount >= totalPomodoros) {
+            showNotification('Pomodoro complete', `All ${totalPomodoros} Pomodoros done - nice work!`);
+        } else {
+            const nextBreak = isLongBreakAfter(currentPomodoroCount) ? 'long break' : 'break';
+            showNotification('Pomodoro complete', `Pomodoro ${currentPomodoroCount} of ${totalPomodoros} done. Time for a ${nextBreak}.`);
+        }
+
         // Get associated goal information if selected
         const goalSelect = document.getElementById('goal-select');
         const goalId = goalSelect && goalSelect.value ? goalSelect.value : null;
@@ -188,30 +354,27 @@ function completeSession() {
 
         // Create session record
         const session = {
+            clientId: workSessionClientId,
             startTime,
             endTime,
             duration: Math.floor((endTime - startTime) / 1000),
             isWorkSession: true,
             goalId,
+            goalItemId: getSelectedGoalItemId(),
             goalText: selectedGoalText,
             pomodoroNumber: currentPomodoroCount,
-            totalPomodoros: totalPomodoros
+            totalPomodoros: totalPomodoros,
+            completed: true,
+            phaseType: 'Work',
+            mode: 'Pomodoro',
+            elapsedSeconds: phaseDuration - timeLeft
         };
 
         // Add to sessions array
         sessions.push(session);
 
         // Save to localStorage with user-specific key
-        const userId = document.getElementById('user-data').getAttribute('data-user-id');
-        try {
-            localStorage.setItem(`pomodoro_sessions_${userId}`, JSON.stringify(sessions.map(s => ({
-                ...s,
-                startTime: s.startTime.toISOString(),
-                endTime: s.endTime.toISOString()
-            }))));
-        } catch (error) {
-            console.error('Error saving sessions to localStorage:', error);
-        }
+        storeSessionsLocally();
 
         // Save session to server
         saveSession(session);
@@ -219,6 +382,9 @@ function completeSession() {
         // Update sessions display
         updateSessionsDisplay();
 
+        // Ask how it went while the break is running
+        showReflectionPrompt(session);
+
         // Check if this was the last pomodoro for the goal
         if (currentPomodoroCount >= totalPomodoros) {
             // Final pomodoro completed - show task complete
@@ -229,52 +395,68 @@ function completeSession() {
             const statusText = document.getElementById('status-text');
             const startBtn = document.getElementById('start-btn');
             const pauseBtn = document.getElementById('pause-btn');
-            const workMinutesInput = document.getElementById('work-minutes');
-            const breakMinutesInput = document.getElementById('break-minutes');
-            const goalSelect = document.getElementById('goal-select');
 
             if (statusText) statusText.textContent = 'Task Completed! 🎉';
             if (startBtn) startBtn.disabled = false;
             if (pauseBtn) pauseBtn.disabled = true;
-            if (workMinutesInput) workMinutesInput.disabled = false;
-            if (breakMinutesInput) breakMinutesInput.disabled = false;
-            if (goalSelect) goalSelect.disabled = false;
+            setSettingsDisabled(false);
 
             // If this was associated with a goal, mark it as completed
             if (goalId) {
                 markGoalAsCompleted(goalId);
             }
 
+            // Nothing left to restore on the server
+            syncTimerState('clear');
+
             updateDisplay();
         } else {
-            // Switch to break time for intermediate pomodoros
-            isWorkTime = false;
-            timeLeft = breakMinutes * 60;
-            isRunning = false; // Reset isRunning flag to ensure startTimer will work
+            // Switch to break time for intermediate pomodoros, with a long break every few cycles
+            startBreak(isLongBreakAfter(currentPomodoroCount));
+        }
+    } else {
+        // Break session completed, let the user know it's time to get back to work
+        playSound(breakEndSound);
+        if (isFlowMode) {
+            showNotification('Break over', 'Time to start your next flow block.');
+        } else {
+            showNotification('Break over', currentPomodoroCount < totalPomodoros
+                ? `Time to focus - Pomodoro ${currentPomodoroCount + 1} of ${totalPomodoros} is next.`
+                : 'Break finished.');
+        }
 
-            const statusText = document.getElementById('status-text');
-            if (statusText) statusText.textContent = 'Break Time';
+        // Record the break so analytics can tell break time apart
+        const goalSelect = document.getElementById('goal-select');
 
-            // Ensure the timer is properly cleared
-            clearInterval(timer);
+        saveSession({
+            startTime,
+            endTime,
+            goalId: goalSelect && goalSelect.value ? goalSelect.value : null,
+            pomodoroNumber: currentPomodoroCount,
+            totalPomodoros: totalPomodoros,
+            completed: true,
+            phaseType: getPhaseType(),
+            mode: isFlowMode ? 'Flow' : 'Pomodoro',
+            elapsedSeconds: phaseDuration - timeLeft
+        });
 
-            // Small delay before starting break timer to ensure UI updates
-            setTimeout(() => {
-                startTimer();
-            }, 300);
-        }
-    } else {
-        // Break session completed, prepare for next work session
+        // Prepare for next work session
         isWorkTime = true;
-        timeLeft = workMinutes * 60;
+        isLongBreak = false;
         isRunning = false;
 
+        if (isFlowMode) {
+            // Flow blocks are started by hand so the user decides when they're ready
+            initTimer();
+            waitForNextPhase('Break over - start your next flow block');
+            return;
+        }
+
+        timeLeft = workMinutes * 60;
+
         const statusText = document.getElementById('status-text');
         const startBtn = document.getElementById('start-btn');
         const pauseBtn = document.getElementById('pause-btn');
-        const workMinutesInput = document.getElementById('work-minutes');
-        const breakMinutesInput = document.getElementById('break-minutes');
-        const goalSelect = document.getElementById('goal-select');
 
         if (statusText) {
             statusText.textContent = `Ready for Pomodoro ${currentPomodoroCount + 1} of ${totalPomodoros}`;
@@ -285,31 +467,639 @@ function completeSession() {
 
         // Don't enable inputs between pomodoros to maintain focus
         if (currentPomodoroCount < totalPomodoros) {
-            // Auto-start next pomodoro after a short break
-            setTimeout(() => {
-                startTimer();
-            }, 1500);
+            if (autoStartPomodoros) {
+                // Auto-start next pomodoro after a short break
+                setTimeout(() => {
+                    startTimer();
+                }, 1500);
+            } else {
+                waitForNextPhase(`Ready for Pomodoro ${currentPomodoroCount + 1} of ${totalPomodoros}`);
+            }
         } else {
             // Re-enable inputs only when completely done
-            if (workMinutesInput) workMinutesInput.disabled = false;
-            if (breakMinutesInput) breakMinutesInput.disabled = false;
-            if (goalSelect) goalSelect.disabled = false;
+            setSettingsDisabled(false);
+        }
+
+        updateDisplay();
+    }
+}
+
+/**
+ * Switch to a break after a work phase, starting it straight away if breaks auto-start
+ * @param {boolean} longBreak - Whether it is a long break
+ */
+function startBreak(longBreak) {
+    isWorkTime = false;
+    isLongBreak = longBreak;
+    timeLeft = (isLongBreak ? longBreakMinutes : breakMinutes) * 60;
+    isRunning = false; // Reset isRunning flag to ensure startTimer will work
+
+    // Ensure the countdown is properly stopped
+    stopCountdown();
+
+    if (autoStartBreaks) {
+        const statusText = document.getElementById('status-text');
+        if (statusText) statusText.textContent = isLongBreak ? 'Long Break Time' : 'Break Time';
+
+        // Small delay before starting break timer to ensure UI updates
+        setTimeout(() => {
+            startTimer();
+        }, 300);
+    } else {
+        waitForNextPhase(isLongBreak ? 'Long break ready - press Start' : 'Break ready - press Start');
+    }
+}
+
+/**
+ * End the current phase now and move on to the next one. A break that is waiting
+ * to be started is dropped without being recorded. A skipped Pomodoro is recorded
+ * as unfinished and doesn't count towards the goal.
+ */
+function skipPhase() {
+    if (!isWorkTime && !isRunning && !isPaused) {
+        skipQueuedBreak();
+        return;
+    }
+
+    if (!isRunning && !isPaused) return;
+
+    // A flow block already has its own way of ending early
+    if (isFlowMode && isWorkTime) {
+        finishFlowBlock();
+        return;
+    }
+
+    stopCountdown();
+
+    // End the phase now, leaving out any paused time, so only the time actually spent is recorded
+    if (isRunning) {
+        timeLeft = Math.max(0, Math.ceil((endTimestamp - Date.now()) / 1000));
+    }
+    endTimestamp = startTime.getTime() + (phaseDuration - timeLeft) * 1000;
+
+    if (isWorkTime) {
+        recordInterruptedSession('Skipped');
+    }
+
+    isRunning = false;
+    isPaused = false;
+
+    const startBtn = document.getElementById('start-btn');
+    if (startBtn) startBtn.textContent = 'Start';
+
+    // Only a break counts as finished when it is skipped
+    if (!isWorkTime) {
+        completeSession();
+        return;
+    }
+
+    endTimestamp = null;
+    sessionClientId = null;
+    updatePhaseControls();
+    startBreak(false);
+}
+
+/**
+ * Go straight to the next work phase instead of a break that hasn't started yet
+ */
+function skipQueuedBreak() {
+    isWorkTime = true;
+    isLongBreak = false;
+
+    if (isFlowMode) {
+        initTimer();
+        waitForNextPhase('Break skipped - start your next flow block');
+        return;
+    }
+
+    timeLeft = workMinutes * 60;
+
+    if (autoStartPomodoros) {
+        startTimer();
+    } else {
+        waitForNextPhase(`Ready for Pomodoro ${currentPomodoroCount + 1} of ${totalPomodoros}`);
+    }
+}
+
+/**
+ * Add a few minutes to the running or paused phase
+ */
+function extendPhase() {
+    if (!isRunning && !isPaused) return;
+
+    // A flow block counts up, so there is nothing to extend
+    if (isFlowMode && isWorkTime) return;
+
+    const extraSeconds = EXTEND_MINUTES * 60;
+    timeLeft += extraSeconds;
+    phaseDuration += extraSeconds;
+    if (isRunning) {
+        endTimestamp += extraSeconds * 1000;
+    }
+
+    updateDisplay();
+    syncTimerState('extend', { seconds: extraSeconds });
+}
+
+/**
+ * Suggest a break in proportion to the length of a flow block
+ * @param {number} workedSeconds - Length of the flow block in seconds
+ * @returns {number} Suggested break length in minutes
+ */
+function getFlowBreakMinutes(workedSeconds) {
+    const workedMinutes = workedSeconds / 60;
+
+    if (workedMinutes <= 25) return 5;
+    if (workedMinutes <= 50) return 8;
+    if (workedMinutes <= 90) return 10;
+    return 15;
+}
+
+/**
+ * End the running or paused flow block now
+ */
+function finishFlowBlock() {
+    if (!isFlowMode || !isWorkTime || (!isRunning && !isPaused)) return;
+
+    stopCountdown();
+
+    // Work out how long the block ran, leaving out any paused time
+    if (isRunning) {
+        timeLeft = Math.max(0, Math.ceil((endTimestamp - Date.now()) / 1000));
+    }
+    endTimestamp = startTime.getTime() + (phaseDuration - timeLeft) * 1000;
+
+    isRunning = false;
+    isPaused = false;
+
+    const startBtn = document.getElementById('start-btn');
+    if (startBtn) startBtn.textContent = 'Start';
+
+    completeSession();
+}
+
+/**
+ * Record a finished flow block and set up the suggested break
+ * @param {Date} endTime - When the flow block ended
+ * @param {string} clientId - Client id the block is recorded with
+ */
+function completeFlowBlock(endTime, clientId) {
+    const workedSeconds = phaseDuration - timeLeft;
+    const suggestedBreakMinutes = getFlowBreakMinutes(workedSeconds);
+
+    // Let the user know the block is over, even if they are in another tab
+    playSound(workEndSound);
+    showNotification('Flow block finished',
+        `You focused for ${Math.round(workedSeconds / 60)} minutes. Take a ${suggestedBreakMinutes} minute break.`);
+
+    // Get associated goal information if selected
+    const goalSelect = document.getElementById('goal-select');
+    const goalId = goalSelect && goalSelect.value ? goalSelect.value : null;
+    const selectedGoalText = goalId && goalSelect.selectedIndex >= 0
+        ? goalSelect.options[goalSelect.selectedIndex].text
+        : null;
+
+    const session = {
+        clientId,
+        startTime,
+        endTime,
+        duration: workedSeconds,
+        isWorkSession: true,
+        goalId,
+        goalItemId: getSelectedGoalItemId(),
+        goalText: selectedGoalText,
+        pomodoroNumber: null,
+        totalPomodoros: null,
+        completed: true,
+        phaseType: 'Work',
+        mode: 'Flow',
+        elapsedSeconds: workedSeconds
+    };
+
+    sessions.push(session);
+    storeSessionsLocally();
+    saveSession(session);
+    updateSessionsDisplay();
+    showReflectionPrompt(session);
+
+    // Switch to the suggested break
+    isWorkTime = false;
+    isLongBreak = false;
+    isRunning = false;
+    timeLeft = suggestedBreakMinutes * 60;
+    stopCountdown();
+    updatePhaseControls();
+
+    if (autoStartBreaks) {
+        setTimeout(() => {
+            startTimer();
+        }, 300);
+    } else {
+        waitForNextPhase(`Suggested break: ${suggestedBreakMinutes} minutes - press Start`);
+    }
+}
+
+/**
+ * Switch between fixed Pomodoros and open-ended flow blocks
+ * @param {boolean} flow - Whether to use flow mode
+ */
+function setTimerMode(flow) {
+    isFlowMode = flow;
+
+    const modeInput = document.getElementById(flow ? 'mode-flow' : 'mode-pomodoro');
+    const pomodoroSettings = document.getElementById('pomodoro-settings');
+    const pomodoroProgress = document.getElementById('pomodoro-progress');
+    const finishBtn = document.getElementById('finish-btn');
+
+    if (modeInput) modeInput.checked = true;
+
+    // Cycle lengths and goal progress only apply to fixed Pomodoros
+    if (pomodoroSettings) pomodoroSettings.classList.toggle('d-none', flow);
+    if (pomodoroProgress) pomodoroProgress.classList.toggle('d-none', flow);
+    if (finishBtn) finishBtn.classList.toggle('d-none', !flow);
+
+    updatePhaseControls();
+}
+
+/**
+ * Enable the controls that depend on the current phase: skipping or extending it,
+ * and, while a work phase is running or paused, finishing a flow block and logging an interruption
+ */
+function updatePhaseControls() {
+    const inPhase = isRunning || isPaused;
+    const inWorkPhase = isWorkTime && inPhase;
+    const finishBtn = document.getElementById('finish-btn');
+    const skipBtn = document.getElementById('skip-btn');
+    const extendBtn = document.getElementById('extend-btn');
+    const interruptionBtn = document.getElementById('log-interruption-btn');
+
+    if (finishBtn) {
+        finishBtn.disabled = !(isFlowMode && inWorkPhase);
+    }
+
+    // A break can also be skipped while it waits to be started
+    if (skipBtn) {
+        skipBtn.disabled = !(inPhase || !isWorkTime);
+    }
+
+    if (extendBtn) {
+        extendBtn.disabled = !inPhase || (isFlowMode && isWorkTime);
+    }
+
+    if (interruptionBtn) {
+        interruptionBtn.disabled = !(inWorkPhase && sessionClientId);
+        if (interruptionBtn.disabled) {
+            document.getElementById('interruption-form')?.classList.add('d-none');
+        }
+    }
+
+    scheduleStateRefresh();
+}
+
+/**
+ * Show how many interruptions were logged during the current work session
+ */
+function updateInterruptionCount() {
+    const countBadge = document.getElementById('interruption-count');
+    if (countBadge) countBadge.textContent = interruptionCount;
+
+    scheduleStateRefresh();
+}
+
+/**
+ * Read the interruption form and clear it
+ * @returns {Object} Interruption type and note
+ */
+function readInterruptionForm() {
+    const typeInput = document.querySelector('input[name="interruption-type"]:checked');
+    const noteInput = document.getElementById('interruption-note');
+    const interruption = {
+        type: typeInput ? typeInput.value : 'Internal',
+        note: noteInput ? noteInput.value.trim() : ''
+    };
+
+    if (noteInput) noteInput.value = '';
+    document.getElementById('interruption-form')?.classList.add('d-none');
+
+    return interruption;
+}
+
+/**
+ * Log an interruption against the running work session, queueing it if it fails
+ * @param {Object} interruption - Interruption type ('Internal' or 'External') and note
+ */
+function logInterruption(interruption) {
+    if (!sessionClientId) return;
+
+    const goalSelect = document.getElementById('goal-select');
+
+    // The client id lets the server ignore a retry of an interruption it already stored
+    sendWithOutbox('/goals/active-timer/interruptions', {
+        clientId: generateClientId(),
+        sessionClientId,
+        goalId: goalSelect && goalSelect.value ? goalSelect.value : null,
+        type: interruption.type,
+        note: interruption.note,
+        loggedAt: new Date().toISOString()
+    });
+
+    interruptionCount++;
+    updateInterruptionCount();
+}
+
+/**
+ * Save today's sessions to localStorage with a user-specific key
+ */
+function storeSessionsLocally() {
+    const userId = document.getElementById('user-data').getAttribute('data-user-id');
+    try {
+        localStorage.setItem(`pomodoro_sessions_${userId}`, JSON.stringify(sessions.map(s => ({
+            ...s,
+            startTime: s.startTime.toISOString(),
+            endTime: s.endTime.toISOString()
+        }))));
+    } catch (error) {
+        console.error('Error saving sessions to localStorage:', error);
+    }
+}
+
+/**
+ * Stop between phases until the user starts the next one
+ * @param {string} message - Status text to show while waiting
+ */
+function waitForNextPhase(message) {
+    const statusText = document.getElementById('status-text');
+    const startBtn = document.getElementById('start-btn');
+    const pauseBtn = document.getElementById('pause-btn');
+
+    if (statusText) statusText.textContent = message;
+    if (startBtn) startBtn.disabled = false;
+    if (pauseBtn) pauseBtn.disabled = true;
+
+    updateDisplay();
+    updatePhaseControls();
+
+    // Queue the next phase on the server so a refresh still knows where the cycle is
+    syncTimerState('start', { ...getTimerStatePayload(), paused: true });
+}
+
+/**
+ * Record the work done so far when a Pomodoro is abandoned before it ends
+ * @param {string} reason - Why the Pomodoro was interrupted
+ */
+function recordInterruptedSession(reason) {
+    // Only a work phase that has actually started counts as an interrupted Pomodoro
+    if (!isWorkTime || (!isRunning && !isPaused) || !startTime) return;
+
+    const elapsedSeconds = phaseDuration - timeLeft;
+    if (elapsedSeconds <= 0) return;
+
+    const goalSelect = document.getElementById('goal-select');
+
+    saveSession({
+        clientId: sessionClientId,
+        startTime,
+        endTime: new Date(),
+        goalId: goalSelect && goalSelect.value ? goalSelect.value : null,
+        goalItemId: getSelectedGoalItemId(),
+        pomodoroNumber: currentPomodoroCount + 1,
+        totalPomodoros: totalPomodoros,
+        completed: false,
+        phaseType: 'Work',
+        mode: isFlowMode ? 'Flow' : 'Pomodoro',
+        elapsedSeconds: elapsedSeconds,
+        interruptionReason: reason
+    });
+}
+
+/**
+ * Mark a goal as completed on the server, queueing the request if it fails
+ * @param {string} goalId - ID of the goal to mark as completed
+ */
+function markGoalAsCompleted(goalId) {
+    sendWithOutbox(`/goals/${goalId}/complete`, {})
+        .then(data => {
+            // Queued requests are retried in the background
+            if (!data) return;
+
+            if (data.success) {
+                console.log('Goal marked as completed:', data);
+
+                // Remove this goal and its subtasks from the dropdown as it's now completed
+                const goalSelect = document.getElementById('goal-select');
+                if (goalSelect) {
+                    goalSelect.querySelectorAll(`option[value="${goalId}"]`).forEach(option => option.remove());
+                }
+
+                // Show a success notification
+                const timerDisplay = document.querySelector('.timer-display');
+                const currentGoalText = document.getElementById('current-goal-text');
+
+                playSound(goalCompleteSound);
+                if (currentGoalText) {
+                    showNotification('Goal completed', `"${currentGoalText.textContent}" has been marked as completed.`);
+                }
+
+                if (timerDisplay && currentGoalText) {
+                    // Goals that were waiting on this one only appear in the dropdown after a reload
+                    const unblockedCount = (data.unblocked || []).length;
+                    const unblockedText = unblockedCount > 0
+                        ? ` ${unblockedCount} goal${unblockedCount === 1 ? ' that was' : 's that were'} waiting on it can be started now, reload the page to pick ${unblockedCount === 1 ? 'it' : 'them'}.`
+                        : '';
+
+                    const notification = document.createElement('div');
+                    notification.className = 'alert alert-success alert-dismissible fade show mt-3';
+                    notification.innerHTML = `
+                    <strong>Goal Completed!</strong> "${currentGoalText.textContent}" has been marked as completed.${unblockedText}
+                    <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>
+                `;
+                    timerDisplay.appendChild(notification);
+                }
+
+                // Reset goal selection
+                if (goalSelect) {
+                    goalSelect.value = '';
+                    updateCurrentGoalDisplay();
+                }
+            }
+        });
+}
+
+/**
+ * Save a completed or interrupted session to the server, queueing it if it fails
+ * @param {Object} session - Session data to save
+ */
+function saveSession(session) {
+    // The client id lets the server ignore a retry of a session it already stored
+    const clientId = session.clientId || generateClientId();
+    const request = sendWithOutbox('/goals/pomodoro', {
+        clientId,
+        goalId: session.goalId,
+        goalItemId: session.goalItemId || null,
+        startTime: session.startTime.toISOString(),
+        endTime: session.endTime.toISOString(),
+        completed: session.completed,
+        pomodoroNumber: session.pomodoroNumber,
+        totalPomodoros: session.totalPomodoros,
+        phaseType: session.phaseType || 'Work',
+        mode: session.mode || 'Pomodoro',
+        elapsedSeconds: session.elapsedSeconds,
+        interruptionReason: session.interruptionReason || null
+    });
+
+    pendingSessionSaves[clientId] = request;
+    request.finally(() => {
+        delete pendingSessionSaves[clientId];
+    });
+
+    request
+        .then(data => {
+            // Queued sessions are retried in the background
+            if (!data) return;
+
+            if (data.success) {
+                console.log('Session saved successfully', data);
+
+                // If the goal status was updated, update the UI to reflect this
+                if (data.goalUpdated && session.goalId) {
+                    // Add a visual indicator that the goal was marked as completed
+                    const listItem = document.querySelector(`#sessions-container li:last-child`);
+                    if (listItem) {
+                        const goalStatusBadge = document.createElement('div');
+                        goalStatusBadge.className = 'mt-2 text-success';
+                        goalStatusBadge.innerHTML = '<small><i>Goal marked as completed!</i></small>';
+                        listItem.appendChild(goalStatusBadge);
+                    }
+                }
+            } else {
+                console.error('Error saving session:', data.error);
+            }
+        });
+}
+
+/**
+ * Ask the user to reflect on a work session that just ended
+ * @param {Object} session - The completed work session
+ */
+function showReflectionPrompt(session) {
+    const reflectionCard = document.getElementById('reflection-card');
+    if (!reflectionCard) return;
+
+    reflectionSession = session;
+
+    // Start from an empty form for every session, counting the interruptions logged as distractions
+    document.getElementById('reflection-note').value = '';
+    document.getElementById('reflection-distractions').value = interruptionCount || '';
+    document.querySelectorAll('input[name="focus-rating"]').forEach(input => {
+        input.checked = false;
+    });
+
+    reflectionCard.classList.remove('d-none');
+    scheduleStateRefresh();
+}
+
+/**
+ * Hide the reflection prompt without saving
+ */
+function hideReflectionPrompt() {
+    const reflectionCard = document.getElementById('reflection-card');
+    if (reflectionCard) reflectionCard.classList.add('d-none');
+
+    reflectionSession = null;
+    scheduleStateRefresh();
+}
+
+/**
+ * Read the values entered in the reflection prompt
+ * @returns {Object} Reflection note, focus rating and distraction count (null when left empty)
+ */
+function readReflectionForm() {
+    const note = document.getElementById('reflection-note').value.trim();
+    const distractions = document.getElementById('reflection-distractions').value;
+    const rating = document.querySelector('input[name="focus-rating"]:checked');
+
+    return {
+        reflectionNote: note || null,
+        focusRating: rating ? parseInt(rating.value) : null,
+        distractionCount: distractions === '' ? null : parseInt(distractions)
+    };
+}
+
+/**
+ * Save the reflection entered for the last work session
+ * @param {Object} reflection - Values from readReflectionForm()
+ */
+function saveReflection(reflection) {
+    const session = reflectionSession;
+    if (!session) return;
+
+    hideReflectionPrompt();
+
+    // Nothing entered is the same as skipping
+    if (!reflection.reflectionNote && !reflection.focusRating && reflection.distractionCount === null) return;
+
+    Object.assign(session, reflection);
+    storeSessionsLocally();
+    updateSessionsDisplay();
+
+    // Wait for the session request still in flight, so the server has the session
+    // before the reflection arrives. Then send the reflection along with the session
+    // if that was queued in the outbox, or on its own once the session is stored.
+    const sessionSaved = pendingSessionSaves[session.clientId] || Promise.resolve();
+    sessionSaved.then(() => {
+        if (!amendQueuedRequest('/goals/pomodoro', session.clientId, reflection)) {
+            sendWithOutbox('/goals/pomodoro/reflection', { clientId: session.clientId, ...reflection });
         }
+    });
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Build the timer state sent to the server when a phase starts
+ * @returns {Object} Current phase, goal progress and timer settings
+ */
+function getTimerStatePayload() {
+    const goalSelect = document.getElementById('goal-select');
 
-        updateDisplay();
-    }
+    return {
+        goalId: goalSelect && goalSelect.value ? goalSelect.value : null,
+        goalItemId: getSelectedGoalItemId(),
+        phase: getPhaseType(),
+        mode: isFlowMode ? 'Flow' : 'Pomodoro',
+        sessionClientId: isWorkTime ? sessionClientId : null,
+        pomodoroCount: currentPomodoroCount,
+        totalPomodoros: totalPomodoros,
+        workMinutes: workMinutes,
+        breakMinutes: breakMinutes,
+        longBreakMinutes: longBreakMinutes,
+        longBreakInterval: longBreakInterval,
+        durationSeconds: timeLeft
+    };
 }
 
 /**
- * Mark a goal as completed on the server
- * @param {string} goalId - ID of the goal to mark as completed
+ * Send a timer state change to the server so the session can be restored later
+ * @param {string} action - One of 'start', 'pause', 'resume' or 'clear'
+ * @param {Object} [payload] - Timer state sent along with the action
+ * @returns {Promise<Object|null>} The active timer as stored on the server, or null
  */
-function markGoalAsCompleted(goalId) {
-    fetch(`/goals/${goalId}/complete`, {
+function syncTimerState(action, payload = {}) {
+    return fetch(`/goals/active-timer/${action}`, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json'
-        }
+        },
+        body: JSON.stringify(payload)
     })
         .then(response => {
             if (!response.ok) {
@@ -317,65 +1107,19 @@ function markGoalAsCompleted(goalId) {
             }
             return response.json();
         })
-        .then(data => {
-            if (data.success) {
-                console.log('Goal marked as completed:', data);
-
-                // Remove this goal from the dropdown as it's now completed
-                const goalSelect = document.getElementById('goal-select');
-                if (goalSelect) {
-                    const option = goalSelect.querySelector(`option[value="${goalId}"]`);
-                    if (option) {
-                        option.remove();
-                    }
-                }
-
-                // Show a success notification
-                const timerDisplay = document.querySelector('.timer-display');
-                const currentGoalText = document.getElementById('current-goal-text');
-
-                if (timerDisplay && currentGoalText) {
-                    const notification = document.createElement('div');
-                    notification.className = 'alert alert-success alert-dismissible fade show mt-3';
-                    notification.innerHTML = `
-                    <strong>Goal Completed!</strong> "${currentGoalText.textContent}" has been marked as completed.
-                    <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>
-                `;
-                    timerDisplay.appendChild(notification);
-                }
-
-                // Reset goal selection
-                if (goalSelect) {
-                    goalSelect.value = '';
-                    updateCurrentGoalDisplay();
-                }
-            }
-        })
+        .then(data => data.timer || null)
         .catch(error => {
-            console.error('Error marking goal as completed:', error);
-            // Show error notification if needed
+            console.error(`Error syncing timer state (${action}):`, error);
+            return null;
         });
 }
 
 /**
- * Save completed session to the server
- * @param {Object} session - Session data to save
+ * Fetch the active timer from the server and continue it on this page
+ * @returns {Promise<boolean>} Whether an active timer was restored
  */
-function saveSession(session) {
-    fetch('/goals/pomodoro', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            goalId: session.goalId,
-            startTime: session.startTime.toISOString(),
-            endTime: session.endTime.toISOString(),
-            completed: true,
-            pomodoroNumber: session.pomodoroNumber,
-            totalPomodoros: session.totalPomodoros
-        })
-    })
+function restoreActiveTimer() {
+    return fetch('/goals/active-timer')
         .then(response => {
             if (!response.ok) {
                 throw new Error('Network response was not ok');
@@ -383,25 +1127,116 @@ function saveSession(session) {
             return response.json();
         })
         .then(data => {
-            if (data.success) {
-                console.log('Session saved successfully', data);
+            if (!data.success || !data.timer) {
+                return false;
+            }
 
-                // If the goal status was updated, update the UI to reflect this
-                if (data.goalUpdated && session.goalId) {
-                    // Add a visual indicator that the goal was marked as completed
-                    const listItem = document.querySelector(`#sessions-container li:last-child`);
-                    if (listItem) {
-                        const goalStatusBadge = document.createElement('div');
-                        goalStatusBadge.className = 'mt-2 text-success';
-                        goalStatusBadge.innerHTML = '<small><i>Goal marked as completed!</i></small>';
-                        listItem.appendChild(goalStatusBadge);
-                    }
-                }
+            applyActiveTimer(data.timer);
+            return true;
+        })
+        .catch(error => {
+            console.error('Error restoring active timer:', error);
+            return false;
+        });
+}
+
+/**
+ * Apply a timer state loaded from the server to the page
+ * @param {Object} activeTimer - Active timer returned by GET /goals/active-timer
+ */
+function applyActiveTimer(activeTimer) {
+    const goalSelect = document.getElementById('goal-select');
+    const workMinutesInput = document.getElementById('work-minutes');
+    const breakMinutesInput = document.getElementById('break-minutes');
+    const longBreakMinutesInput = document.getElementById('long-break-minutes');
+    const longBreakIntervalInput = document.getElementById('long-break-interval');
+
+    if (goalSelect) {
+        goalSelect.value = activeTimer.goalId || '';
+
+        // Pick the subtask the timer was started on, if any
+        const itemOption = activeTimer.goalItemId
+            ? goalSelect.querySelector(`option[data-item-id="${activeTimer.goalItemId}"]`)
+            : null;
+        if (itemOption) itemOption.selected = true;
+
+        updateCurrentGoalDisplay();
+    }
+
+    workMinutes = activeTimer.workMinutes;
+    breakMinutes = activeTimer.breakMinutes;
+    longBreakMinutes = activeTimer.longBreakMinutes;
+    longBreakInterval = activeTimer.longBreakInterval;
+    if (workMinutesInput) workMinutesInput.value = workMinutes;
+    if (breakMinutesInput) breakMinutesInput.value = breakMinutes;
+    if (longBreakMinutesInput) longBreakMinutesInput.value = longBreakMinutes;
+    if (longBreakIntervalInput) longBreakIntervalInput.value = longBreakInterval;
+
+    // Restore the mode, the phase and the goal progress
+    setTimerMode(activeTimer.mode === 'Flow');
+    isWorkTime = activeTimer.phase === 'Work';
+    isLongBreak = activeTimer.phase === 'Long Break';
+    currentPomodoroCount = activeTimer.pomodoroCount;
+    totalPomodoros = activeTimer.totalPomodoros;
+    timeLeft = activeTimer.secondsLeft;
+    phaseDuration = activeTimer.phaseSeconds;
+    startTime = new Date(activeTimer.phaseStartedAt);
+    sessionClientId = activeTimer.sessionClientId || null;
+    interruptionCount = activeTimer.interruptionCount || 0;
+    updateInterruptionCount();
+
+    updateProgressDisplay();
+    updateDisplay();
+
+    // A queued phase has not started yet, so wait for the user to start it
+    if (activeTimer.status === 'Paused' && !activeTimer.phaseStartedAt) {
+        const statusText = document.getElementById('status-text');
+        const startBtn = document.getElementById('start-btn');
+        const pauseBtn = document.getElementById('pause-btn');
+
+        if (statusText) {
+            if (isWorkTime) {
+                statusText.textContent = isFlowMode
+                    ? 'Break over - start your next flow block'
+                    : `Ready for Pomodoro ${currentPomodoroCount + 1} of ${totalPomodoros}`;
             } else {
-                console.error('Error saving session:', data.error);
+                statusText.textContent = `${isLongBreak ? 'Long break' : 'Break'} ready - press Start`;
             }
-        })
-        .catch(error => console.error('Error saving session:', error));
+        }
+        if (startBtn) startBtn.disabled = false;
+        if (pauseBtn) pauseBtn.disabled = true;
+        setSettingsDisabled(true);
+        updatePhaseControls();
+        return;
+    }
+
+    if (activeTimer.status === 'Running') {
+        if (timeLeft <= 0) {
+            // The phase ended while the page was closed
+            endTimestamp = new Date(activeTimer.endsAt).getTime();
+            completeSession();
+        } else {
+            // Continue as a resume so the original start time is kept
+            isPaused = true;
+            startTimer(false);
+        }
+        return;
+    }
+
+    isPaused = true;
+
+    const statusText = document.getElementById('status-text');
+    const startBtn = document.getElementById('start-btn');
+    const pauseBtn = document.getElementById('pause-btn');
+
+    if (statusText) statusText.textContent = 'Paused';
+    if (startBtn) {
+        startBtn.disabled = false;
+        startBtn.textContent = 'Resume';
+    }
+    if (pauseBtn) pauseBtn.disabled = true;
+    setSettingsDisabled(true);
+    updatePhaseControls();
 }
 
 /**
@@ -409,6 +1244,7 @@ function saveSession(session) {
  */
 function updateSessionsDisplay() {
     const sessionsContainer = document.getElementById('sessions-container');
+    scheduleStateRefresh();
 
     if (!sessionsContainer) return;
 
@@ -426,12 +1262,28 @@ function updateSessionsDisplay() {
         const time = new Date(session.endTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
         const goalText = session.goalText
-            ? `Working on: ${session.goalText}`
+            ? `Working on: ${escapeHtml(session.goalText)}`
             : 'No goal selected';
 
-        const pomodoroInfo = session.pomodoroNumber
-            ? `<div class="text-muted small">Pomodoro ${session.pomodoroNumber} of ${session.totalPomodoros}</div>`
+        let pomodoroInfo = '';
+        if (session.mode === 'Flow') {
+            pomodoroInfo = '<div class="text-muted small">Flow block</div>';
+        } else if (session.pomodoroNumber) {
+            pomodoroInfo = `<div class="text-muted small">Pomodoro ${session.pomodoroNumber} of ${session.totalPomodoros}</div>`;
+        }
+
+        // Reflection added after the session, if any
+        const reflectionParts = [];
+        if (session.focusRating) reflectionParts.push(`Focus ${session.focusRating}/5`);
+        if (session.distractionCount !== null && session.distractionCount !== undefined) {
+            reflectionParts.push(`${session.distractionCount} distraction${session.distractionCount === 1 ? '' : 's'}`);
+        }
+        let reflectionInfo = reflectionParts.length
+            ? `<div class="small text-primary">${reflectionParts.join(' · ')}</div>`
             : '';
+        if (session.reflectionNote) {
+            reflectionInfo += `<div class="small fst-italic">${escapeHtml(session.reflectionNote)}</div>`;
+        }
 
         html += `
         <li class="list-group-item" id="session-${i}">
@@ -440,6 +1292,7 @@ function updateSessionsDisplay() {
               <strong>Session ${i + 1}</strong> - ${duration} minutes (${time})
               <div class="text-muted small">${goalText}</div>
               ${pomodoroInfo}
+              ${reflectionInfo}
             </div>
             <span class="badge bg-success">Completed</span>
           </div>
@@ -458,6 +1311,7 @@ function updateProgressDisplay() {
     const progressBar = document.getElementById('progress-bar');
     const pomodoroCounter = document.getElementById('pomodoro-counter');
     const totalTimeRemaining = document.getElementById('total-time-remaining');
+    scheduleStateRefresh();
 
     if (!progressBar || !pomodoroCounter || !totalTimeRemaining) return;
 
@@ -477,7 +1331,12 @@ function updateProgressDisplay() {
     // Calculate remaining time in minutes
     const remainingFullPomodoros = totalPomodoros - currentPomodoroCount;
     const remainingWorkTime = remainingFullPomodoros * workMinutes;
-    const remainingBreakTime = (remainingFullPomodoros - 1) > 0 ? (remainingFullPomodoros - 1) * breakMinutes : 0;
+
+    // One break after each remaining pomodoro except the last, long or short depending on the cycle
+    let remainingBreakTime = 0;
+    for (let i = currentPomodoroCount + 1; i < totalPomodoros; i++) {
+        remainingBreakTime += isLongBreakAfter(i) ? longBreakMinutes : breakMinutes;
+    }
     const totalRemainingMinutes = remainingWorkTime + remainingBreakTime;
 
     // Format for display
@@ -493,6 +1352,17 @@ function updateProgressDisplay() {
     totalTimeRemaining.textContent = `Remaining: ${remainingTimeDisplay}`;
 }
 
+/**
+ * Get the subtask picked in the goal dropdown
+ * @returns {string|null} ID of the subtask, or null when a whole goal (or nothing) is selected
+ */
+function getSelectedGoalItemId() {
+    const goalSelect = document.getElementById('goal-select');
+    if (!goalSelect || goalSelect.selectedIndex < 0) return null;
+
+    return goalSelect.options[goalSelect.selectedIndex].getAttribute('data-item-id');
+}
+
 /**
  * Update the current goal display
  */
@@ -539,8 +1409,8 @@ function getUrlParams() {
 
     return {
         goalId: params.get('goalId'),
-        duration: parseInt(params.get('duration')) || 25,
-        breakDuration: parseInt(params.get('breakDuration')) || 5,
+        duration: parseInt(params.get('duration')) || null,
+        breakDuration: parseInt(params.get('breakDuration')) || null,
         autoStart: autoStart === 'true' || autoStart === '1'
     };
 }
@@ -645,24 +1515,343 @@ function matchGoalIdsWithDropdown() {
     for (let i = 0; i < goalSelect.options.length; i++) {
         const option = goalSelect.options[i];
         if (option.value) {
-            availableGoals[option.value] = option.text;
+            // Subtask options share their goal's value, so they are keyed by item id
+            const itemId = option.getAttribute('data-item-id');
+            availableGoals[itemId ? `item-${itemId}` : option.value] = option.text;
         }
     }
 
     // Update sessions with current goal text if available
     sessions.forEach(session => {
-        if (session.goalId && availableGoals[session.goalId]) {
+        const key = session.goalItemId ? `item-${session.goalItemId}` : session.goalId;
+        if (key && availableGoals[key]) {
             // If the goal exists in dropdown, update its text
-            session.goalText = availableGoals[session.goalId];
+            session.goalText = availableGoals[key];
         }
         // If goal doesn't exist in dropdown, keep the original goalText
     });
 }
 
+/**
+ * Refresh the mini timer and send this tab's timer state to the other open tabs
+ * once the current update has finished
+ */
+function scheduleStateRefresh() {
+    if (stateRefreshTimer) return;
+
+    stateRefreshTimer = setTimeout(() => {
+        stateRefreshTimer = null;
+        updateMiniTimer();
+
+        if (isLeader) {
+            postTabMessage('state', getTabState());
+        }
+    }, 0);
+}
+
+/**
+ * Collect the timer state the other tabs need to mirror this one
+ * @returns {Object} Serializable timer state
+ */
+function getTabState() {
+    const statusText = document.getElementById('status-text');
+    const startBtn = document.getElementById('start-btn');
+    const pauseBtn = document.getElementById('pause-btn');
+
+    const inputs = {};
+    TAB_SYNCED_INPUTS.forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            inputs[id] = {
+                value: input.value,
+                checked: input.checked,
+                selectedIndex: input.selectedIndex,
+                disabled: input.disabled
+            };
+        }
+    });
+
+    return {
+        timeLeft,
+        endTimestamp,
+        phaseDuration,
+        isRunning,
+        isPaused,
+        isWorkTime,
+        isLongBreak,
+        isFlowMode,
+        sessionsCompleted,
+        currentPomodoroCount,
+        totalPomodoros,
+        startTime: startTime ? startTime.getTime() : null,
+        sessionClientId,
+        interruptionCount,
+        reflectionClientId: reflectionSession ? reflectionSession.clientId : null,
+        inputs,
+        statusText: statusText ? statusText.textContent : '',
+        startButton: startBtn ? { text: startBtn.textContent, disabled: startBtn.disabled } : null,
+        pauseDisabled: pauseBtn ? pauseBtn.disabled : true,
+        sessions: sessions.map(s => ({
+            ...s,
+            startTime: s.startTime.toISOString(),
+            endTime: s.endTime.toISOString()
+        }))
+    };
+}
+
+/**
+ * Mirror the timer state broadcast by the leader tab
+ * @param {Object} state - State from getTabState() in the leader tab
+ */
+function applyTabState(state) {
+    hasTabState = true;
+
+    // Inputs come first, as showing the selected goal resets the goal progress
+    Object.entries(state.inputs).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+
+        if (input.type === 'radio') {
+            input.checked = value.checked;
+        } else if (input.tagName === 'SELECT') {
+            // Subtasks share their goal's value, so the option is picked by position
+            input.selectedIndex = value.selectedIndex;
+        } else {
+            input.value = value.value;
+        }
+        input.disabled = value.disabled;
+    });
+    updateCurrentGoalDisplay();
+
+    timeLeft = state.timeLeft;
+    phaseDuration = state.phaseDuration;
+    isRunning = state.isRunning;
+    isPaused = state.isPaused;
+    isWorkTime = state.isWorkTime;
+    isLongBreak = state.isLongBreak;
+    sessionsCompleted = state.sessionsCompleted;
+    currentPomodoroCount = state.currentPomodoroCount;
+    totalPomodoros = state.totalPomodoros;
+    startTime = state.startTime ? new Date(state.startTime) : null;
+    sessionClientId = state.sessionClientId;
+    interruptionCount = state.interruptionCount;
+    sessions = state.sessions.map(s => ({
+        ...s,
+        startTime: new Date(s.startTime),
+        endTime: new Date(s.endTime)
+    }));
+    setTimerMode(state.isFlowMode);
+
+    // Count down locally for a smooth display; the leader tab finishes the phase
+    if (isRunning && state.endTimestamp) {
+        startCountdown(state.endTimestamp);
+    } else {
+        stopCountdown();
+        endTimestamp = state.endTimestamp;
+    }
+
+    const statusText = document.getElementById('status-text');
+    const startBtn = document.getElementById('start-btn');
+    const pauseBtn = document.getElementById('pause-btn');
+
+    if (statusText) statusText.textContent = state.statusText;
+    if (startBtn && state.startButton) {
+        startBtn.textContent = state.startButton.text;
+        startBtn.disabled = state.startButton.disabled;
+    }
+    if (pauseBtn) pauseBtn.disabled = state.pauseDisabled;
+
+    updateDisplay();
+    updateProgressDisplay();
+    updateSessionsDisplay();
+    updateInterruptionCount();
+
+    // Ask for a reflection in every tab until one of them answers or skips it
+    if (!state.reflectionClientId) {
+        if (reflectionSession) hideReflectionPrompt();
+    } else if (!reflectionSession || reflectionSession.clientId !== state.reflectionClientId) {
+        showReflectionPrompt(sessions.find(s => s.clientId === state.reflectionClientId) || { clientId: state.reflectionClientId });
+    }
+}
+
+/**
+ * Run a timer action in this tab if it is the leader, otherwise send it to the leader tab
+ * @param {string} command - Action to run ('start', 'pause', 'reset', 'finish', 'skip', 'extend', 'interruption', 'reflection', 'skipReflection' or 'input')
+ * @param {Object} [payload] - Data for the action
+ */
+function runTimerCommand(command, payload = null) {
+    if (!isLeaderTab()) {
+        postTabMessage('command', { command, payload });
+        return;
+    }
+
+    switch (command) {
+        case 'start':
+            startTimer();
+            break;
+        case 'pause':
+            pauseTimer();
+            break;
+        case 'reset':
+            resetTimer();
+            break;
+        case 'finish':
+            finishFlowBlock();
+            break;
+        case 'skip':
+            skipPhase();
+            break;
+        case 'extend':
+            extendPhase();
+            break;
+        case 'interruption':
+            logInterruption(payload);
+            break;
+        case 'reflection':
+            saveReflection(payload);
+            break;
+        case 'skipReflection':
+            hideReflectionPrompt();
+            break;
+        case 'input': {
+            // A settings change made in another tab, applied through the usual change handlers
+            const input = document.getElementById(payload.id);
+            if (!input || input.disabled) break;
+
+            if (input.type === 'radio') {
+                input.checked = payload.checked;
+            } else if (input.tagName === 'SELECT') {
+                input.selectedIndex = payload.selectedIndex;
+            } else {
+                input.value = payload.value;
+            }
+            input.dispatchEvent(new Event('change'));
+            break;
+        }
+    }
+
+    scheduleStateRefresh();
+}
+
+/**
+ * Handle a message from another timer tab
+ * @param {string} type - Message type ('hello', 'state' or 'command')
+ * @param {Object} payload - Message data
+ */
+function handleTabMessage(type, payload) {
+    if (type === 'state' && !isLeaderTab()) {
+        applyTabState(payload);
+    } else if (type === 'hello' && isLeaderTab()) {
+        // A new tab wants the current state
+        scheduleStateRefresh();
+    } else if (type === 'command' && isLeaderTab()) {
+        runTimerCommand(payload.command, payload.payload);
+    }
+}
+
+/**
+ * Take over running the timer when this tab becomes the leader
+ * @param {string} userId - ID of the current user
+ */
+function takeOverAsLeader(userId) {
+    // Retry any session or goal posts left over from a previous visit or the previous leader
+    if (userId) {
+        initOutbox(userId);
+    }
+
+    if (hasTabState) {
+        // Carry on from the state mirrored from the previous leader
+        tick();
+        scheduleStateRefresh();
+    } else {
+        // Continue a timer saved on the server, otherwise set values from URL parameters
+        restoreActiveTimer().then(restored => {
+            if (!restored) {
+                initFromUrlParams();
+            }
+            scheduleStateRefresh();
+        });
+    }
+}
+
+/**
+ * Start or pause the timer, whichever the page currently offers
+ */
+function toggleTimer() {
+    const startBtn = document.getElementById('start-btn');
+    const pauseBtn = document.getElementById('pause-btn');
+
+    if (pauseBtn && !pauseBtn.disabled) {
+        runTimerCommand('pause');
+    } else if (startBtn && !startBtn.disabled) {
+        runTimerCommand('start');
+    }
+}
+
+/**
+ * Handle the timer's keyboard shortcuts: space to start or pause, R to reset and N to skip the phase
+ * @param {KeyboardEvent} event - Key pressed on the timer page or in the mini timer
+ */
+function handleTimerShortcut(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey || event.repeat) return;
+
+    // Leave keys alone while the user is typing
+    const target = event.target;
+    if (target.closest && target.closest('input, textarea, select, [contenteditable]')) return;
+
+    switch (event.key.toLowerCase()) {
+        case ' ':
+            // A focused button already handles space itself
+            if (target.closest && target.closest('button')) return;
+            event.preventDefault();
+            toggleTimer();
+            break;
+        case 'r':
+            event.preventDefault();
+            runTimerCommand('reset');
+            break;
+        case 'n':
+            event.preventDefault();
+            runTimerCommand('skip');
+            break;
+    }
+}
+
+/**
+ * Listen for changes to a settings input, forwarding them to the leader tab when this tab only mirrors it
+ * @param {string} id - ID of the input
+ * @param {Function} handler - Change handler to run in the leader tab
+ */
+function onTimerInputChange(id, handler) {
+    const input = document.getElementById(id);
+    if (!input) return;
+
+    input.addEventListener('change', function() {
+        if (isLeaderTab()) {
+            handler.call(this);
+        } else {
+            runTimerCommand('input', { id, value: this.value, checked: this.checked, selectedIndex: this.selectedIndex });
+        }
+    });
+}
+
 /**
  * Initialize the timer page
  */
 function initTimerPage() {
+    const userId = document.getElementById('user-data')?.getAttribute('data-user-id');
+
+    // Load the user's timer preferences
+    const preferencesElement = document.getElementById('timer-preferences');
+    if (preferencesElement) {
+        autoStartBreaks = preferencesElement.getAttribute('data-auto-start-breaks') === 'true';
+        autoStartPomodoros = preferencesElement.getAttribute('data-auto-start-pomodoros') === 'true';
+        workEndSound = preferencesElement.getAttribute('data-work-end-sound') || 'none';
+        breakEndSound = preferencesElement.getAttribute('data-break-end-sound') || 'none';
+        goalCompleteSound = preferencesElement.getAttribute('data-goal-complete-sound') || 'none';
+        initNotifications(preferencesElement.getAttribute('data-notifications-enabled') === 'true');
+    }
+
     // Initialize session data from server if provided
     const existingSessionsElement = document.getElementById('existing-sessions-data');
     if (existingSessionsElement) {
@@ -691,8 +1880,8 @@ function initTimerPage() {
         }
     }
 
-    // Set values from URL parameters first
-    initFromUrlParams();
+    // Show the default time until the server state has loaded
+    initTimer();
 
     // Load additional sessions from localStorage
     loadSessions();
@@ -703,38 +1892,127 @@ function initTimerPage() {
     // Update the sessions display after matching goals
     updateSessionsDisplay();
 
+    // Only the leader tab runs the timer and posts to the server; other tabs mirror it
+    const tabSync = userId
+        ? initTabSync(userId, {
+            onMessage: handleTabMessage,
+            onBecomeLeader: () => takeOverAsLeader(userId),
+            onLoseLeadership: () => postTabMessage('hello')
+        })
+        : Promise.resolve(true);
+
+    tabSync.then(leader => {
+        if (leader) {
+            takeOverAsLeader(userId);
+        } else {
+            // Ask the leader tab for its current state
+            postTabMessage('hello');
+        }
+    });
+
     // Add change event to goal select to update display
-    const goalSelect = document.getElementById('goal-select');
-    if (goalSelect) {
-        goalSelect.addEventListener('change', updateCurrentGoalDisplay);
-    }
+    onTimerInputChange('goal-select', updateCurrentGoalDisplay);
 
     // Add event listeners to buttons
     const startBtn = document.getElementById('start-btn');
     const pauseBtn = document.getElementById('pause-btn');
     const resetBtn = document.getElementById('reset-btn');
-    const workMinutesInput = document.getElementById('work-minutes');
-    const breakMinutesInput = document.getElementById('break-minutes');
 
     if (startBtn) {
-        startBtn.addEventListener('click', startTimer);
+        startBtn.addEventListener('click', () => runTimerCommand('start'));
     }
 
     if (pauseBtn) {
-        pauseBtn.addEventListener('click', pauseTimer);
+        pauseBtn.addEventListener('click', () => runTimerCommand('pause'));
     }
 
     if (resetBtn) {
-        resetBtn.addEventListener('click', resetTimer);
+        resetBtn.addEventListener('click', () => runTimerCommand('reset'));
+    }
+
+    const finishBtn = document.getElementById('finish-btn');
+    if (finishBtn) {
+        finishBtn.addEventListener('click', () => runTimerCommand('finish'));
+    }
+
+    const skipBtn = document.getElementById('skip-btn');
+    if (skipBtn) {
+        skipBtn.addEventListener('click', () => runTimerCommand('skip'));
+    }
+
+    const extendBtn = document.getElementById('extend-btn');
+    if (extendBtn) {
+        extendBtn.addEventListener('click', () => runTimerCommand('extend'));
+    }
+
+    const interruptionBtn = document.getElementById('log-interruption-btn');
+    if (interruptionBtn) {
+        interruptionBtn.addEventListener('click', function() {
+            document.getElementById('interruption-form')?.classList.toggle('d-none');
+            document.getElementById('interruption-note')?.focus();
+        });
+    }
+
+    const saveInterruptionBtn = document.getElementById('save-interruption-btn');
+    const cancelInterruptionBtn = document.getElementById('cancel-interruption-btn');
+    const interruptionNote = document.getElementById('interruption-note');
+    if (saveInterruptionBtn) {
+        saveInterruptionBtn.addEventListener('click', () => runTimerCommand('interruption', readInterruptionForm()));
+    }
+    if (cancelInterruptionBtn) {
+        cancelInterruptionBtn.addEventListener('click', function() {
+            document.getElementById('interruption-form')?.classList.add('d-none');
+        });
+    }
+    if (interruptionNote) {
+        interruptionNote.addEventListener('keydown', function(event) {
+            if (event.key === 'Enter') saveInterruptionBtn?.click();
+        });
     }
 
-    if (workMinutesInput) {
-        workMinutesInput.addEventListener('change', initTimer);
+    const saveReflectionBtn = document.getElementById('save-reflection-btn');
+    const skipReflectionBtn = document.getElementById('skip-reflection-btn');
+    if (saveReflectionBtn) {
+        saveReflectionBtn.addEventListener('click', () => runTimerCommand('reflection', readReflectionForm()));
+    }
+    if (skipReflectionBtn) {
+        skipReflectionBtn.addEventListener('click', () => runTimerCommand('skipReflection'));
     }
 
-    if (breakMinutesInput) {
-        breakMinutesInput.addEventListener('change', initTimer);
+    // Switching mode is only possible while the timer is idle
+    ['mode-pomodoro', 'mode-flow'].forEach(id => {
+        onTimerInputChange(id, function() {
+            if (isRunning || isPaused || !this.checked) return;
+
+            setTimerMode(this.value === 'Flow');
+            initTimer();
+        });
+    });
+
+    // Keyboard shortcuts, also available from the mini timer
+    document.addEventListener('keydown', handleTimerShortcut);
+
+    const miniTimerBtn = document.getElementById('mini-timer-btn');
+    if (miniTimerBtn && miniTimerSupported()) {
+        miniTimerBtn.classList.remove('d-none');
+        miniTimerBtn.addEventListener('click', () => toggleMiniTimer({
+            onToggle: toggleTimer,
+            onKeyDown: handleTimerShortcut
+        }));
     }
+
+    // Catch up straight away when a throttled background tab becomes visible again
+    document.addEventListener('visibilitychange', tick);
+
+    onTimerInputChange('work-minutes', initTimer);
+    onTimerInputChange('break-minutes', initTimer);
+
+    ['long-break-minutes', 'long-break-interval'].forEach(id => {
+        onTimerInputChange(id, () => {
+            initTimer();
+            updateProgressDisplay();
+        });
+    });
 }
 
 // Add event listener to initialize the timer page when the DOM is loaded
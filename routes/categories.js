@@ -0,0 +1,28 @@
+// routes/categories.js
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const categoryController = require('../controllers/categoryController');
+const Category = require('../models/Category');
+const auth = require('../middleware/auth');
+
+// Fields of the add and edit category forms
+const categoryChecks = [
+    check('name', 'Name is required and can be at most 50 characters').trim().isLength({ min: 1, max: 50 }),
+    check('color', 'Please choose a valid colour').isHexColor(),
+    check('icon', 'Please choose a valid icon').isIn(Category.ICONS)
+];
+
+// Categories page
+router.get('/', auth, categoryController.getCategories);
+
+// Create a category
+router.post('/', [auth, ...categoryChecks], categoryController.createCategory);
+
+// Update a category
+router.put('/:id', [auth, ...categoryChecks], categoryController.updateCategory);
+
+// Delete a category
+router.delete('/:id', auth, categoryController.deleteCategory);
+
+module.exports = router;
@@ -3,18 +3,38 @@ const express = require('express');
 const router = express.Router();
 const { check } = require('express-validator');
 const goalController = require('../controllers/goalController');
+const goalItemController = require('../controllers/goalItemController');
 const auth = require('../middleware/auth');
+const Recurrence = require('../models/Recurrence');
+const Goal = require('../models/Goal');
+
+// Fields describing how a goal repeats, shared by the add and edit goal forms
+const recurrenceChecks = [
+    check('recurrence', 'Repeat must be one of ' + Recurrence.TYPES.join(', ')).optional().isIn(Recurrence.TYPES),
+    check('recurrence_interval', 'Repeat interval must be between 1 and 365 days').optional({ checkFalsy: true }).isInt({ min: 1, max: 365 })
+];
+
+// Category and tags, shared by the add and edit goal forms
+const categoryChecks = [
+    check('category_id', 'Please choose a valid category').optional({ checkFalsy: true }).isInt({ min: 1 }),
+    check('tags', 'Tags must be a comma separated list').optional().isString()
+];
 
 // Get all goals for a user
 router.get('/', auth, goalController.getGoals);
 
+// Trashed and archived goals
+router.get('/trash', auth, goalController.getTrash);
+
 // Create a new goal
 router.post(
     '/',
     [
         auth,
         check('title', 'Title is required').not().isEmpty(),
-        check('priority', 'Priority must be Low, Medium, or High').isIn(['Low', 'Medium', 'High'])
+        check('priority', 'Priority must be Low, Medium, or High').isIn(['Low', 'Medium', 'High']),
+        ...categoryChecks,
+        ...recurrenceChecks
     ],
     goalController.createGoal
 );
@@ -26,24 +46,75 @@ router.put(
         auth,
         check('title', 'Title is required').not().isEmpty(),
         check('priority', 'Priority must be Low, Medium, or High').isIn(['Low', 'Medium', 'High']),
-        check('status', 'Status must be Pending or Completed').isIn(['Pending', 'Completed'])
+        check('status', 'Status must be one of ' + Goal.STATUSES.join(', ')).isIn(Goal.STATUSES),
+        ...categoryChecks,
+        ...recurrenceChecks
     ],
     goalController.updateGoal
 );
 
-// Delete a goal
+// Move a goal to the trash
 router.delete('/:id', auth, goalController.deleteGoal);
 
+// Delete a trashed goal permanently
+router.delete('/:id/permanent', auth, goalController.purgeGoal);
+
+// Archive a goal
+router.post('/:id/archive', auth, goalController.archiveGoal);
+
+// Restore an archived or trashed goal
+router.post('/:id/restore', auth, goalController.restoreGoal);
+
 // Record Pomodoro session
 router.post('/pomodoro', auth, goalController.recordPomodoro);
 
+// Add a reflection to a recorded work session
+router.post('/pomodoro/reflection', auth, goalController.recordReflection);
+
 // Get goal details
 router.get('/:id/details', auth, goalController.getGoalDetails);
 
 // Mark goal as completed
 router.post('/:id/complete', auth, goalController.completeGoal);
 
+// Checklist items (subtasks) of a goal
+router.get('/:id/items', auth, goalItemController.getItems);
+router.post(
+    '/:id/items',
+    [
+        auth,
+        check('title', 'Item title is required').trim().not().isEmpty(),
+        check('title', 'Item title must be at most 255 characters').isLength({ max: 255 })
+    ],
+    goalItemController.createItem
+);
+router.put(
+    '/:id/items/:itemId',
+    [
+        auth,
+        check('title', 'Item title is required').optional().trim().not().isEmpty(),
+        check('title', 'Item title must be at most 255 characters').optional().isLength({ max: 255 }),
+        check('completed', 'Completed must be true or false').optional().isBoolean()
+    ],
+    goalItemController.updateItem
+);
+router.delete('/:id/items/:itemId', auth, goalItemController.deleteItem);
+
 //
 router.post('/timer-status', auth, goalController.updateGoalTimerStatus);
 
+// Active timer state (survives page refreshes and follows the user across devices)
+router.get('/active-timer', auth, goalController.getActiveTimer);
+router.post('/active-timer/start', auth, goalController.startActiveTimer);
+router.post('/active-timer/pause', auth, goalController.pauseActiveTimer);
+router.post('/active-timer/resume', auth, goalController.resumeActiveTimer);
+router.post('/active-timer/extend', auth, goalController.extendActiveTimer);
+router.post('/active-timer/clear', auth, goalController.clearActiveTimer);
+
+// Log an interruption during the running work session
+router.post('/active-timer/interruptions', auth, goalController.logInterruption);
+
+// Goal page with its history. Registered last so it doesn't shadow the paths above.
+router.get('/:id', auth, goalController.getGoal);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,27 @@
+// routes/sessions.js
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const sessionController = require('../controllers/sessionController');
+const auth = require('../middleware/auth');
+
+// Fields shared by the log and edit session forms
+const sessionChecks = [
+    check('start_time', 'Please enter a valid start time').isISO8601(),
+    check('duration_minutes', 'Duration must be between 1 and 600 minutes').isInt({ min: 1, max: 600 }),
+    check('phase_type', 'Type must be Work, Break or Long Break').isIn(['Work', 'Break', 'Long Break'])
+];
+
+// Get all sessions for a user
+router.get('/', auth, sessionController.getSessions);
+
+// Log a session manually
+router.post('/', [auth, ...sessionChecks], sessionController.createSession);
+
+// Update a session
+router.put('/:id', [auth, ...sessionChecks], sessionController.updateSession);
+
+// Delete a session
+router.delete('/:id', auth, sessionController.deleteSession);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,42 @@
+// routes/settings.js
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const settingsController = require('../controllers/settingsController');
+const UserSettings = require('../models/UserSettings');
+const auth = require('../middleware/auth');
+
+// Settings page
+router.get('/', auth, settingsController.getSettings);
+
+// Update settings
+router.put(
+    '/',
+    [
+        auth,
+        check('work_minutes', 'Work time must be between 1 and 90 minutes').isInt({ min: 1, max: 90 }),
+        check('break_minutes', 'Break time must be between 1 and 30 minutes').isInt({ min: 1, max: 30 }),
+        check('long_break_minutes', 'Long break must be between 1 and 60 minutes').isInt({ min: 1, max: 60 }),
+        check('long_break_interval', 'Long break interval must be between 1 and 12 Pomodoros').isInt({ min: 1, max: 12 }),
+        check('work_end_sound', 'Please choose a valid work end sound').isIn(UserSettings.SOUNDS),
+        check('break_end_sound', 'Please choose a valid break end sound').isIn(UserSettings.SOUNDS),
+        check('goal_complete_sound', 'Please choose a valid goal completion sound').isIn(UserSettings.SOUNDS)
+    ],
+    settingsController.updateSettings
+);
+
+// Turn browser notifications on or off
+router.post('/notifications', auth, settingsController.updateNotifications);
+
+// Set the work in progress limits of the goal board
+router.post(
+    '/wip-limits',
+    [
+        auth,
+        check('pending', 'Limits must be between 1 and 100 goals').optional({ checkFalsy: true }).isInt({ min: 1, max: 100 }),
+        check('inProgress', 'Limits must be between 1 and 100 goals').optional({ checkFalsy: true }).isInt({ min: 1, max: 100 })
+    ],
+    settingsController.updateWipLimits
+);
+
+module.exports = router;
\ No newline at end of file